@@ -23,6 +23,11 @@ attribute float index;
 #else
   /** States from `gl-gpgpu` in one merged `texture`. */
   uniform sampler2D gpgpu_states;
+
+  #ifdef gpgpu_tiled
+    /** The grid of tiles the states are merged into. */
+    uniform vec2 gpgpu_tiles;
+  #endif
 #endif
 
 /** Current step from `gl-gpgpu`; needed for `tapStates` or `tapStatesBy`. */
@@ -37,6 +37,7 @@ import { macroPass } from '../../src/macros';
 import { mapStep } from '../../src/maps';
 import { toUniforms } from '../../src/uniforms';
 import { getDrawIndexes } from '../../src/size';
+import { toPlan } from '../../src/plan';
 import indexForms from '../../src/index-forms';
 
 import stepFrag from './step.frag.glsl';
@@ -145,14 +146,15 @@ console.log(values, '`values`');
 
 /** Limits of this device and these `values`. */
 const {
-    maxTextureUnits, maxTextureSize, lineWidthDims, pointSizeDims, depthBits
+    maxTextureSize, lineWidthDims, pointSizeDims, depthBits
   } = regl.limits;
 
 /**
  * Whether to merge states into one texture; separate textures if not given.
- * Merge by default for maximum platform compatibility.
+ * Merge by default for maximum platform compatibility; in a grid of tiles, to
+ * fit many steps within the maximum texture size.
  */
-const merge = query.get('merge') !== 'false';
+const merge = (query.get('merge') !== 'false') && { tiles: true };
 
 /**
  * Better stay farther under maximum texture size, for errors/crashes.
@@ -171,14 +173,12 @@ const scale = clamp((parseFloat(query.get('scale') || niceScale, 10) || 0),
 /** How many steps are used for output. */
 const bound = 1;
 
-/** The steps of state to track. */
-limits.steps = [
-  1+bound,
-  // Maximum steps must fit the maximum total texture size if merging.
-  floor((merge)? maxTextureSize/(2**scale)
-    // Maximum steps must fit the maximum total texture units if separate.
-    : (maxTextureUnits-bound)/reduce((s, v) => s+v, values)*4)
-];
+/**
+ * The steps of state to track; maximum steps must fit the maximum total
+ * texture size if merging, or the maximum texture units if separate.
+ */
+limits.steps =
+  [1+bound, toPlan(regl, { maps: { values }, scale, bound, merge }).stepsMax];
 
 console.log('limits', limits, regl.limits);
 
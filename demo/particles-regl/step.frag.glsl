@@ -44,6 +44,11 @@ gpgpu_useSamples
 #else
   /** States from `gl-gpgpu` in one merged `texture`. */
   uniform sampler2D gpgpu_states;
+
+  #ifdef gpgpu_tiled
+    /** The grid of tiles the states are merged into. */
+    uniform vec2 gpgpu_tiles;
+  #endif
 #endif
 
 /** Current step from `gl-gpgpu`; needed for `tapStates` or `tapStatesBy`. */
@@ -37,7 +37,8 @@
  *     stencil?:object,
  *     width?:number,
  *     height?:number,
- *     color?:texture[]
+ *     color?:texture[],
+ *     layer?:number
  *   }} options Options to create or update a `GL` `framebuffer`; with:
  *   - `depth`: Any `framebuffer` depth attachment, or a flag for whether it
  *     should be created.
@@ -46,6 +47,7 @@
  *   - `width`: The width of the `framebuffer`.
  *   - `height`: The height of the `framebuffer`.
  *   - `color`: The `texture` attachments to use.
+ *   - `layer`: Any layer of any `WebGL2` 3D or array `texture` attachments.
  *
  * @returns {framebuffer}
  */
@@ -77,6 +79,7 @@
  *
  * @prop {getFramebuffer} call Update this `framebuffer` in-place.
  * @prop {useFramebuffer} use Bind this `framebuffer` for the given `function`.
+ * @prop {()=>void} [destroy] Free this `framebuffer`; see `toData`.
  */
 
 /**
@@ -94,12 +97,18 @@
  * A `GL` `texture`, or an `object` serving that purpose.
  *
  * @param {string} type Any `texture` data type value.
+ * @param {'int'|'uint'} [integer] Any integer type of the `texture`'s values;
+ *   to create with an integer format (e.g: `RGBA32UI`, for `type` `'uint32'`),
+ *   in `WebGL2`. See `maps.mapGroups`.
  * @param {string} min Any `texture` minification filter value.
  * @param {string} mag Any `texture` magnification filter value.
  * @param {string} wrap Any `texture` wrap mode value.
  * @param {number} width The width of the `texture`.
  * @param {number} height The height of the `texture`.
  * @param {number} channels The number of channels of the `texture`.
+ * @param {'array'|'3d'|true} [layers] Any layers of a `WebGL2` `texture`;
+ *   a 3D `texture` if `'3d'`, or a 2D array `texture` if otherwise `true`y.
+ * @param {number} [depth] The depth of any layers of the `texture`.
  *
  * @returns {texture}
  */
@@ -124,9 +133,14 @@
  *
  * Uses any `this` value's `texture` as the output to copy into.
  *
- * @param {texture} source A `texture` to copy to part of the output `texture`.
+ * @param {texture|object} source A `texture` to copy to part of the output
+ *   `texture`; or data to upload, as `{ data, width, height, channels }` with
+ *   a typed `array` of `data` (see `upload.uploadData`); or `{ copy: true }`
+ *   to copy from the currently-bound `framebuffer`.
  * @param {number} [x=0] Offset along the output `texture`'s x-axis.
  * @param {number} [y=0] Offset along the output `texture`'s y-axis.
+ * @param {number} [z] Offset along any layers of the output `texture`; if it's
+ *   a `WebGL2` 3D or array `texture`.
  *
  * @returns {texture}
  */
@@ -143,6 +157,7 @@
  * @prop {getTexture} call Update this `texture` in-place.
  * @prop {subimage} subimage Copy from a source `texture` into part of `this`
  *   destination `texture`.
+ * @prop {()=>void} [destroy] Free this `texture`; see `toData`.
  */
 
 /**
@@ -164,6 +179,8 @@
  * @typedef {object} buffer
  * A `GL` `buffer` for vertex `attribute`s, or an `object` serving that purpose;
  * via a `GL` `api`.
+ *
+ * @prop {()=>void} [destroy] Free this `buffer`; see `toStep`.
  */
 
 /**
@@ -229,6 +246,37 @@
  * @returns {(context,state)=>void}
  */
 
+/**
+ * @callback read
+ * A `function` to read pixels from the bound `framebuffer`; via a `GL` `api`.
+ *
+ * **See**
+ *
+ * - {@link framebuffer}
+ * - {@link read.readData}
+ *
+ * **Returns**
+ *
+ * The typed `array` of `RGBA` pixels read, `options.data`.
+ *
+ * @param {{
+ *     x?:number,
+ *     y?:number,
+ *     width?:number,
+ *     height?:number,
+ *     data?:ArrayBufferView
+ *   }} options Options to read pixels; with:
+ *   - `x`: The left of the area to read.
+ *   - `y`: The bottom of the area to read.
+ *   - `width`: The width of the area to read.
+ *   - `height`: The height of the area to read.
+ *   - `data`: A typed `array` to read the `RGBA` pixels into; an
+ *     `Int32Array` or `Uint32Array` for integer `texture`s, read by
+ *     `RGBA_INTEGER`.
+ *
+ * @returns {ArrayBufferView}
+ */
+
 /**
  * @typedef {{
  *     framebuffer:getFramebuffer,
@@ -236,7 +284,10 @@
  *     buffer:getBuffer,
  *     clear:clear,
  *     command:command,
- *     call:command
+ *     call:command,
+ *     read?:read,
+ *     poll?:()=>void,
+ *     gl?:WebGL2RenderingContext
  *   }} api
  * An API `object` given to `gpgpu`, to interact with `GL` resources.
  *
@@ -9,10 +9,18 @@ import { positions, count } from '@epok.tech/gl-screen-triangle';
 import { preGLSLRx } from './util/glsl-regex';
 
 import vertGLSL from './index.vert.glsl';
+import resizeFragGLSL from './resize.frag.glsl';
 
 /** Default vertex shader `GLSL` code. */
 export const vertDef = vertGLSL;
 
+/**
+ * Default fragment shader `GLSL` code to redraw data into a new shape.
+ *
+ * @see {@link resize.getFitPass}
+ */
+export const fitFragDef = resizeFragGLSL;
+
 /**
  * Default vertex positions `attribute`; 3 points of a large flat triangle.
  *
@@ -90,6 +98,14 @@ export const buffersMaxDef = 1;
  */
 export const boundDef = 1;
 
+/**
+ * The `step` denoting values already written by earlier passes in the current
+ * step (`got` states); rather than past steps, which count up from `0`.
+ *
+ * @see {@link maps.mapSamples}
+ */
+export const stepGot = -1;
+
 /**
  * Default length of the data `texture`s sides to allocate; gives a square
  * power-of-two `texture` raising 2 to this power.
@@ -119,6 +135,37 @@ export const stepsDef = 2;
 /** Default values to track; gives 1 set of `texture` channels. */
 export const valuesDef = () => [channelsMaxDef];
 
+/**
+ * Default bytes per `texture` channel; as for the default `float` `typeDef`.
+ *
+ * @see {@link maps.mapCost}
+ */
+export const channelBytesDef = 4;
+
+/**
+ * Default weights of each cost of how values are grouped; draw passes cost
+ * most, then samples, then `texture`s, dependencies across passes, and bytes.
+ *
+ * @see {@link maps.scoreCost}
+ */
+export const costWeightsDef = () =>
+  ({ passes: 4, sampled: 2, textures: 1, across: 1, bytes: 2**-4 });
+
+/**
+ * Default most values to search every `packed` order of exhaustively; more
+ * values are searched heuristically.
+ *
+ * @see {@link maps.optimiseValues}
+ */
+export const searchMaxDef = 6;
+
+/**
+ * Default most `packed` orders to try when searching heuristically.
+ *
+ * @see {@link maps.optimiseValues}
+ */
+export const triesMaxDef = 2**10;
+
 // `GL` resource format defaults.
 
 /**
@@ -149,6 +196,56 @@ export const magDef = 'nearest';
  */
 export const wrapDef = 'clamp';
 
+/**
+ * Default handling of neighbour samples beyond the bounds of the data; clamped
+ * to the nearest edge.
+ *
+ * @see {@link maps.getBoundary}
+ */
+export const boundaryDef = 'clamp';
+
+/**
+ * Default way to keep data's contents when resizing; keeps each entry by its
+ * index, reflowing rows to the new width.
+ *
+ * @see {@link resize.fitTexture}
+ * @see {@link data.toData}
+ */
+export const fitDef = 'keep';
+
+/**
+ * Default value to pad any new entries with when resizing.
+ *
+ * @see {@link resize.fitTexture}
+ */
+export const fillDef = () => [0, 0, 0, 0];
+
+/**
+ * Default typed `array` constructors to pack data into, per `texture` data
+ * type; any other types use `Float32Array`.
+ *
+ * @see {@link upload.packTexture}
+ */
+export const typedArraysDef = () => ({
+  uint8: Uint8Array, int8: Int8Array, uint16: Uint16Array, int16: Int16Array,
+  uint32: Uint32Array, int32: Int32Array
+});
+
+/**
+ * Default channels read per texel when reading data back; `RGBA`, as `GL`
+ * reads pixels.
+ *
+ * @see {@link read.readData}
+ */
+export const readChannelsDef = 4;
+
+/**
+ * Default time to wait between checks of an asynchronous read, in `ms`.
+ *
+ * @see {@link read.readPixelsAsync}
+ */
+export const readWaitDef = 4;
+
 /**
  * Default `framebuffer` depth attachment.
  *
@@ -169,6 +266,12 @@ export const stencilDef = false;
  */
 export const glslRx = /[0-9\.]+/;
 
+/**
+ * A `RegExp` to find any `#version` directive leading a `GLSL` shader, which
+ * must come before anything else in the shader, including any macros.
+ */
+export const versionRx = /^\s*#version[^\n]*\n/;
+
 /**
  * Set a maximum to guard against number overflow.
  *
@@ -15,15 +15,20 @@ import range from '@epok.tech/fn-lists/range';
 import map from '@epok.tech/fn-lists/map';
 import reduce from '@epok.tech/fn-lists/reduce';
 import each from '@epok.tech/fn-lists/each';
+import wrapIndex from '@epok.tech/fn-lists/wrap';
 
-import { toShape } from './size';
+import { toShape, toTiles, toMergeAt, toGutters } from './size';
+import { valueChannels } from './maps';
+import { fitTexture, fitLayer, copyTexture, fitBack } from './resize';
+import { uploadData, writeEntries } from './upload';
+import { readData, readDataAsync } from './read';
 
 import {
     stepsDef, valuesDef, channelsMinDef, buffersMaxDef,
-    typeDef, minDef, magDef, wrapDef, depthDef, stencilDef
+    typeDef, minDef, magDef, wrapDef, depthDef, stencilDef, fitDef
   } from './const';
 
-const { max } = Math;
+const { max, floor } = Math;
 const { isInteger } = Number;
 
 /**
@@ -33,12 +38,35 @@ const { isInteger } = Number;
  * Uses separate data-`texture`s when the `steps` and `textures` are few enough
  * to allow it without issue on all platforms; otherwise merges data-`texture`s.
  *
+ * Integer data-`texture`s, or those of their own formats, can't be merged
+ * with others, so remain separate.
+ *
  * @param {number} [steps] How many `steps` of state to track.
  * @param {number} [textures] How many data-`textures` to track per-step.
+ * @param {boolean} [apart] Whether any data-`texture`s hold integer values, or
+ *   have their own formats.
+ *
+ * @see {@link plan.toPlan}
  *
  * @returns {boolean} Whether to merge states to one data-`texture` by default.
  */
-const mergeDef = (steps, textures) => ((steps > 2) && (textures > 1));
+export const mergeDef = (steps, textures, apart) =>
+  ((steps > 2) && (textures > 1) && !apart);
+
+/**
+ * The channels to create a data-`texture` with, fit to those given; as `R`,
+ * `RG`, `RGB`, or `RGBA` formats in `WebGL2`. Only `uint8` `RGB` formats can
+ * be rendered to, others are given `RGBA` instead.
+ *
+ * @param {number} channels The channels the data-`texture` needs.
+ * @param {string} type The data-`texture`'s data type.
+ *
+ * @see {@link plan.toEstimate}
+ *
+ * @returns {number} The channels to create the data-`texture` with.
+ */
+export const fitChannels = (channels, type) =>
+  (((channels === 3) && (type !== 'uint8'))? 4 : channels);
 
 /**
  * Set up the `gpgpu` resources and meta info for a state of a number data.
@@ -227,6 +255,13 @@ const mergeDef = (steps, textures) => ((steps > 2) && (textures > 1));
  * @param {object} api The API for `GL` resources.
  * @param {texture} [api.texture] Function creating `GL` `texture`s.
  * @param {framebuffer} [api.framebuffer] Function creating `GL` `framebuffer`s.
+ * @param {buffer} [api.buffer] Function to set up a `GL` buffer; to keep data's
+ *   contents when resizing. See `getFitPass`.
+ * @param {command} [api.command=api] Function to create a `GL` render pass; to
+ *   keep data's contents when resizing. See `getFitPass`.
+ * @param {object} [api.limits=api] A map of `GL` resource limits.
+ * @param {number} [api.limits.maxTextureSize] The maximum width or height of
+ *   `GL` `texture`s; to fit any tiles of merged data within.
  * @param {object} [state=\{\}] The state parameters.
  *
  * @param {number} [state.width=widthDef] Data width, aliases follow in order
@@ -254,9 +289,12 @@ const mergeDef = (steps, textures) => ((steps > 2) && (textures > 1));
  * @param {array.<number>} [state.maps.values=valuesDef()] How `values` of each
  *   data item may be grouped into `texture`s across passes; set up here if not
  *   given. See `mapGroups`.
- * @param {number} [state.maps.channelsMin=channelsMinDef] The minimum allowed
- *   channels for `framebuffer` attachments; allocates unused channels as needed
- *   to reach this limit.
+ * @param {number} [state.maps.channelsMin] The minimum allowed channels for
+ *   `framebuffer` attachments; allocates unused channels as needed to reach
+ *   this limit. In `WebGL2` (`GLSL3`), unless merging, each data-`texture`
+ *   gets the channels its values use (as `R`, `RG`, `RGB`, or `RGBA` formats;
+ *   see `fitChannels`), so `1` by default; otherwise `channelsMinDef`, with all
+ *   a `framebuffer`'s attachments needing the same channels in `WebGL1`.
  * @param {number|false} [maps.buffersMax=buffersMaxDef] Maximum `texture`s that
  *   may be bound as buffer outputs per-pass. Binds no output `framebuffer`s if
  *   given `false`y; useful for side-effects with no state outputs, like
@@ -266,19 +304,42 @@ const mergeDef = (steps, textures) => ((steps > 2) && (textures > 1));
  * @param {number} [state.maps.passes] How data-`textures` are grouped into
  *   separate `framebuffer` passes. See `mapGroups`.
  *
+ * @param {array.<'int'|'uint'>} [state.maps.integers] Any integer type of
+ *   each data-`texture`; each is created with an integer format (e.g:
+ *   `RGBA32UI`), of data type `'int32'` or `'uint32'`, filtered by `'nearest'`;
+ *   needs `WebGL2`. See `mapGroups`.
+ * @param {array.<object>} [state.maps.formats] Any format of each
+ *   data-`texture`, as `{ type, min, mag, wrap }`; overriding any of those
+ *   given here for all data-`texture`s. See `mapGroups`.
+ *
  * @param {string} [state.type=typeDef] Any `texture` data type value.
  * @param {string} [state.min=minDef] Any `texture` minification filter value.
  * @param {string} [state.mag=magDef] Any `texture` magnification filter value.
  * @param {string} [state.wrap=wrapDef] Any `texture` wrap mode value.
+ * @param {number} [state.glsl] Any `GLSL` version; `3` or greater means
+ *   `WebGL2`, where each data-`texture` may get the channels its values use.
+ *   See `state.maps.channelsMin`.
  * @param {object} [state.depth=depthDef] Any `framebuffer` depth attachment, or
  *   a flag for whether it should be created.
  * @param {object} [state.stencil=stencilDef] Any `framebuffer` stencil
  *   attachment, or a flag for whether it should be created.
  *
+ * @param {'keep'|'crop'|'resample'|false} [state.fit=fitDef] How `to.resize`
+ *   keeps data's contents: each entry by its index (reflowing rows to the new
+ *   width); or each entry by its texel; or resampling the data to the new
+ *   shape; or discarding the contents if `false`y. Read upon each resize.
+ *   See `fitTexture`.
+ * @param {number[]} [state.fill=fillDef()] The value to pad any new entries
+ *   with when resizing. See `fitTexture`.
+ *
  * @param {object} [state.merge=mergeDef(state.maps)] Whether to merge states
  *   into one data-`texture`; `true`y handles merging here, with any given
  *   properties used as-is (the merged data-`texture` already set up); `false`y
- *   uses un-merged `array`s of `texture`s.
+ *   uses un-merged `array`s of `texture`s. Can't merge any integer
+ *   data-`texture`s (see `state.maps.integers`), nor any of their own formats
+ *   (see `state.maps.formats`); if there are any, all states stay un-merged,
+ *   even if `state.merge` is given (which is dropped, and noted in
+ *   `to.reasons.merge`), so check `to.merge` for the storage mode in use.
  *
  *   Merging allows shaders to access past steps by non-constant lookups; e.g:
  *   attributes cause `"sampler array index must be a literal expression"` on
@@ -293,12 +354,52 @@ const mergeDef = (steps, textures) => ((steps > 2) && (textures > 1));
  *   `array`s of `texture`s.
  *
  *   The default merged `texture` is laid out as `[texture, step]` on the
- *   `[x, y]` axes, respectively; if other layouts are needed, the merge
- *   `texture` can be given here to be used as-is, and the merging/copying and
- *   lookup logic in their respective hooks. See `toStep` and `macroTaps`.
+ *   `[x, y]` axes, respectively; or as `[texture, 1, step]` on the `[x, y, z]`
+ *   axes in `WebGL2` if given `state.merge.layers`, one layer per step, lifting
+ *   the limit of `steps*height` on the merged `texture`'s size.
+ *   If other layouts are needed, the merge `texture` can be given here to be
+ *   used as-is, and the merging/copying and lookup logic in their respective
+ *   hooks. See `toStep` and `macroTaps`.
  *   If a merge `texture` is given, size information is interpreted in a similar
  *   way and precedence as it is from `state`. See `getWidth` and `getHeight`.
  *
+ * @param {'array'|'3d'|true} [state.merge.layers] Any layers to merge states
+ *   into, one per step, in a `WebGL2` `texture` with a `depth` of `steps`
+ *   (given to `api.texture`); a `sampler3D` if `'3d'`, or a `sampler2DArray`
+ *   if otherwise `true`y; a 2D `texture` if not given. Needs `GLSL3`.
+ *   See `toStep` and `macroTaps`.
+ *
+ * @param {boolean} [state.merge.tiles] Whether to lay out the merged
+ *   data-`texture` in a near-square grid of tiles (within any
+ *   `api.limits.maxTextureSize`), of `[texture, step]` blocks in rows of tiles;
+ *   rather than a column of steps, which many steps soon make too tall. Where
+ *   the `tiled` macro's defined, shaders declare `uniform vec2 tiles` (with
+ *   any `pre` prefix) for the grid's shape; see `toUniforms`. The grid's kept
+ *   upon resizing, and laid out anew upon changing the number of steps; as
+ *   `to.size.merge.tiles`. Ignored if merging into layers. Notes in
+ *   `to.reasons.tiles` if ignored, or if the grid exceeds the maximum
+ *   `texture` size. See `toTiles`.
+ *
+ * @param {number} [state.merge.gutter] Any texels of gutter to pad each
+ *   `[texture, step]` block with on all sides, in the merged data-`texture`;
+ *   filled by clamping each block's edge texels as it's merged, so `linear`
+ *   `min` or `mag` filtering doesn't bleed between blocks. Lookups account for
+ *   the gutter where the `gutter` macro's defined; see `macroTaps`. Uploads
+ *   refill any gutters they reach, as do resizes that keep the data; and
+ *   passes can't render directly into blocks with gutters.
+ *   As `to.size.merge.gutter`. See `updateMerge` and `uploadData`.
+ *
+ * @param {boolean} [state.merge.direct] Whether to render passes straight
+ *   into their regions of the merged data-`texture` where possible, rather
+ *   than copy each pass's output into it; by a `framebuffer` wrapping it, and
+ *   `viewport` and `scissor` boxes. Only passes binding one data-`texture`,
+ *   sampling no states (so any `derives`), and not cleared first (so with no
+ *   `clearPass`, as by default), can render directly, and none if there's any
+ *   `state.merge.gutter`; others copy as usual, noted in `to.reasons.direct`
+ *   once upon setup. Shaders of passes rendered
+ *   directly see `gl_FragCoord` offset by their region's position in the
+ *   merged data-`texture`. See `toStep` and `renderMerge`.
+ *
  * @param {number} [state.merge.width] Merged data width, aliases follow in
  *   order of precedence. See `state`.
  * @param {number} [state.merge.w] Alias of `state.merge.width`. See `state`.
@@ -343,11 +444,39 @@ const mergeDef = (steps, textures) => ((steps > 2) && (textures > 1));
  * @returns {object.<framebuffer,string,number>|undefined} `[to.merge.next]` Any
  *   given `state.merge.next`, or newly-created `framebuffer` and meta info; for
  *   copying each pass's data into the `merge`d `texture`.
+ * @returns {object.<framebuffer,number>|undefined} `[to.merge.into]` Any given
+ *   `state.merge.into`, or newly-created `framebuffer` wrapping the `merge`d
+ *   `texture` and meta info, if `state.merge.direct`; for rendering passes
+ *   straight into it.
+ * @returns {function} `to.resize` Resizes all `framebuffer`s and `texture`s,
+ *   given any new size (interpreted as `state` is; see `toShape`), keeping
+ *   their contents as `state.fit` describes; resizes any `merge` too.
+ * @returns {function} `to.setSteps` Changes the number of `to.steps` in place,
+ *   given a new `number` of steps; adds or frees per-step `framebuffer`s and
+ *   `texture`s, keeping the newest states in order back from `state.stepNow`;
+ *   changes any `merge` too. Whether to `merge`, and the `maps`, stay as-is.
+ * @returns {function} `to.upload` Uploads data into the states, given data
+ *   per value (by name or index) and any step; into all steps if no step is
+ *   given. See `uploadData`.
+ * @returns {function} `to.write` Writes data into only the given entries of a
+ *   step (the newest by default); given a list of entry indexes or a range as
+ *   `{ from, count }`, and data per value for each entry. See `writeEntries`.
+ * @returns {function} `to.read` Reads a step of states back (the newest by
+ *   default), as a typed `array` per value keyed by name or index; given any
+ *   step, and any range of entries as the first entry and how many to read.
+ *   See `readData`.
+ * @returns {function} `to.readAsync` As `to.read`, but gives a `Promise`;
+ *   without stalling in `WebGL2`. See `readDataAsync`.
+ * @returns {function} `to.destroy` Frees all `framebuffer`s and `texture`s via
+ *   any `destroy` hooks (each `texture` once, though merging reuses them), any
+ *   kept for resizing or reading, and any `merge`; safe to call more than once.
  * @returns {object} `to.size` Size/type information of the created resources.
  * @returns {string} `to.size.type` Data type of `framebuffer`s and `texture`s.
  * @returns {boolean} `to.size.depth` Whether `framebuffer`s attach depth.
  * @returns {boolean} `to.size.stencil` Whether `framebuffer`s attach stencil.
  * @returns {number} `to.size.channelsMin` Minimum channels in any `texture`.
+ * @returns {array.<number>} `to.size.channels` The channels of each
+ *   data-`texture`, by its index in `maps.textures`.
  * @returns {number} `to.size.steps` Number of `to.steps` in the main flow.
  * @returns {number} `to.size.passes` Number of `to.passes` in `to.steps`.
  * @returns {number} `to.size.framebuffers` Number of `framebuffer`s created.
@@ -359,14 +488,40 @@ const mergeDef = (steps, textures) => ((steps > 2) && (textures > 1));
  *   `texture`s, as `[to.size.width, to.size.height]`.
  * @returns {number} `to.size.entries` Number of entries in each `texture`.
  * @returns {object.<number,string,array.<number>>|undefined} `[to.size.merge]`
- *   Any size/type information about any created or given `merge`d `texture`.
+ *   Any size/type information about any created or given `merge`d `texture`;
+ *   with any `depth` of its layers, if merging into layers; or any grid of
+ *   `tiles` as `[columns, rows]`, if tiling; and any `gutter` around each
+ *   block.
+ * @returns {object.<string,string>|undefined} `[to.reasons]` Any problems met
+ *   by the latest of each operation, as messages keyed by what they affect;
+ *   each noted anew as that operation runs. Nothing is logged, so the caller
+ *   may check these as it needs. Notes any:
+ *   - `merge`: if a given `state.merge` is dropped, as integer `texture`s or
+ *     those of their own formats can't be merged; see `state.merge`.
+ *   - `fit`: integer `texture`s whose contents a resize couldn't keep; see
+ *     `fitTexture`.
+ *   - `data`: names of values given data to upload or write that aren't
+ *     known; see `uploadData`.
+ *   - `entries`: entries written that are outside the data, and skipped; see
+ *     `writeEntries`.
+ *   - `context`: if there's no way to listen for context loss, to recover
+ *     from it; see `toRecover`.
+ *   - `steps`: any invalid number of steps given to `to.setSteps`, which
+ *     keeps the steps as they were.
+ *   - `tiles`: if tiles of merged data are ignored (when merging into
+ *     layers), or exceed the maximum `texture` size; see `state.merge.tiles`.
+ *   - `direct`: passes that can't render straight into the merged data, if
+ *     `state.merge.direct`; see `toStep`.
  */
-export function toData({ texture, framebuffer }, state = {}, to = state) {
+export function toData(api, state = {}, to = state) {
+  const { texture, framebuffer } = api;
+  const { maxTextureSize } = api.limits ?? api;
+
   const {
       maps, steps = stepsDef,
       // Resource format settings.
       type = typeDef, min = minDef, mag = magDef, wrap = wrapDef,
-      depth = depthDef, stencil = stencilDef
+      depth = depthDef, stencil = stencilDef, glsl
     } = state;
 
   const shape = toShape(state);
@@ -374,13 +529,35 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
 
   const {
       values = maps.values = valuesDef(),
-      channelsMin = maps.channelsMin = channelsMinDef,
       buffersMax = maps.buffersMax = buffersMaxDef,
       textures: texturesMap, passes: passesMap
     } = maps;
 
   const stepsL = steps.length ?? steps;
-  const { merge = mergeDef(stepsL, texturesMap.length) } = state;
+  /** Any integer type and format of each data-`texture`. */
+  const { integers, formats } = maps;
+  /** Whether any data-`texture`s can't be merged with others. */
+  const apart = !!(integers?.some?.((t) => t) || formats?.some?.((f) => f));
+
+  let { merge = mergeDef(stepsL, texturesMap.length, apart) } = state;
+
+  if(merge && apart) {
+    (to.reasons ??= {}).merge = '`toData`: integer `texture`s, or those of '+
+      'their own formats, can\'t be merged; splitting.';
+
+    merge = false;
+  }
+  else { delete to.reasons?.merge; }
+  /** Any layers to merge states into, one per step. */
+  const layers = merge?.layers;
+
+  /**
+   * Whether each data-`texture` gets the channels its values use; in `WebGL2`,
+   * unless merging needs one format for all.
+   */
+  const fit = !merge && (glsl >= 3);
+
+  const { channelsMin = ((fit)? 1 : channelsMinDef) } = maps;
 
   // Ensure any properties changed are included.
   to.steps = steps;
@@ -397,14 +574,16 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
   /** Whether to use output buffers in passes, or no buffers in one pass. */
   const output = buffersMax || null;
 
+  /** The channels a data-`texture`'s values use. */
+  const textureChannels = (t) =>
+    reduce((sum, v) => sum+valueChannels(maps, v, t), texturesMap[t], 0);
+
   /**
    * All `framebuffer` attachments need the same number of channels; enough to
    * hold all values a pass holds, or all passes hold if merging and reusing.
    */
   const passChannels = (pass, min) =>
-    reduce((min, t) =>
-        max(min, reduce((sum, v) => sum+values[v], texturesMap[t], 0)),
-      pass, min);
+    reduce((min, t) => max(min, textureChannels(t)), pass, min);
 
   /**
    * If merging past `texture`s and reusing `texture` attachments in each pass's
@@ -423,6 +602,7 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
   size.entries ??= (size.width ??= width)*(size.height ??= height);
   size.type ??= type;
   size.channelsMin ??= mergeChannels ?? channelsMin;
+  size.channels ??= [];
   size.steps ??= stepsL;
   size.passes ??= 0;
   size.framebuffers ??= 0;
@@ -440,9 +620,30 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
    * Add a `texture` attachment and meta info to `texture`s if applicable; to
    * return its new `texture` or a reused one to bind to a pass in `passes`.
    */
-  const addTexture = (channels, w, h, step, pass) => (index, c, _, color) => {
+  const addTexture = (channels, w, h, step, pass, d) => (index, c, _, color) => {
+    /** Any integer type, needing an integer format and `'nearest'` filters. */
+    const int = integers?.[index];
+    /** Any format of the data-`texture`'s own; overrides those for all. */
+    const f = formats?.[index];
+
     /** Properties passed for `texture` creation, then meta info. */
-    const to = { channels, width: w, height: h, type, min, mag, wrap };
+    const to = ((int)?
+        {
+          channels, width: w, height: h, type: int+'32', integer: int,
+          min: 'nearest', mag: 'nearest', wrap: f?.wrap ?? wrap
+        }
+      : {
+          channels, width: w, height: h, type: f?.type ?? type,
+          min: f?.min ?? min, mag: f?.mag ?? mag, wrap: f?.wrap ?? wrap
+        });
+
+    /** Any layers of a `WebGL2` 3D or array `texture`, and their depth. */
+    d && (to.layers = layers) && (to.depth = d);
+
+    /** Any channels of the data-`texture`'s own, fit to its values'. */
+    fit && isInteger(index) &&
+      (to.channels = fitChannels(max(textureChannels(index), channelsMin),
+        to.type));
 
     // Resources.
 
@@ -480,7 +681,10 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
       to.pass = pass;
     }
 
-    i && (to.map = texturesMap[to.index = index]);
+    if(i) {
+      to.map = texturesMap[to.index = index];
+      size.channels[index] = to.channels;
+    }
 
     // Check whether this `texture` is part of the `step`/`pass` render flow.
     // If so, add to `textures`, return its `texture` to bind to a pass.
@@ -492,10 +696,11 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
    * Add a pass to `passes`, with its `texture`s bound; to return its
    * `framebuffer` to one of `steps`.
    */
-  const addPass = (step, color) => (pass, index) => {
+  const addPass = (step, color, w = width, h = height) => (pass, index) => {
     /**
      * All a `framebuffer`'s attachments need the same number of channels;
-     * superseded by any given `color`'s value.
+     * superseded by any given `color`'s value, or by each data-`texture`'s own
+     * if they're `fit`.
      */
     const channels = ((color != null)? 0
       : mergeChannels ??
@@ -505,11 +710,11 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
 
     /** Properties passed for `framebuffer` creation, then meta info. */
     const to = {
-      depth, stencil, width, height,
+      depth, stencil, width: w, height: h,
       /** Map the pass's `texture` color attachments and their meta info. */
       color: color ??
         ((pass)?
-          map(addTexture(channels, width, height, step, index), pass,
+          map(addTexture(channels, w, h, step, index), pass,
             // Reuse any existing color attachments if merging; otherwise make
             // dedicated color attachments for each pass.
             ((merge)? colorPool ??= [] : []))
@@ -554,9 +759,19 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
 
   /** Resize `texture`s, `framebuffer`s, and update `size`. */
   to.resize = (value = to, state = to) => {
-    const { size, passes, textures, merge } = state;
+    const { size, passes, textures, merge, fit = fitDef } = state;
     const [w, h] = toShape(value ?? state, size.shape ??= []);
 
+    // Any `texture`s that can't be kept are noted anew.
+    delete state.reasons?.fit;
+
+    /**
+     * Redraw any un-merged data into the new shape, to copy back once resized;
+     * any merged data is kept by the merged `texture` instead.
+     */
+    const fits = ((!fit || merge)? null
+      : map((p) => map((t) => fitTexture(api, state, t, [w, h]), p), textures));
+
     size.entries = (size.width = w)*(size.height = h);
 
     each((s) => each((p) => p.framebuffer.resize(p.width = w, p.height = h), s),
@@ -565,46 +780,360 @@ export function toData({ texture, framebuffer }, state = {}, to = state) {
     each((p) => each((t) => t.texture.resize(t.width = w, t.height = h), p),
       textures);
 
+    fits && each((p, s) => each((f, i) => fitBack(f, textures[s][i]), p), fits);
+
     return merge?.resize?.(value, state) ?? state;
   };
 
+  /**
+   * Change the number of `steps` in place; add or free per-step `framebuffer`s
+   * and `texture`s, keeping the newest states in order back from `stepNow`.
+   */
+  to.setSteps = (value, state = to) => {
+    const { size, passes, textures, steps, merge, stepNow: s = 0 } = state;
+    const from = size.steps;
+
+    if(!(isInteger(value) && (value > 0))) {
+      (state.reasons ??= {}).steps = '`setSteps`: invalid number of `steps` '+
+        `(${value}); keeping ${from}.`;
+
+      return state;
+    }
+
+    delete state.reasons?.steps;
+
+    if(value === from) { return state; }
+
+    /** Take the current resources out, to put back in their new order. */
+    const ps = passes.splice(0);
+    const ts = textures.splice(0);
+
+    steps.length = 0;
+
+    /** Each step some steps ago, from the newest at `0`. */
+    each((_, ago) => {
+        const f = wrapIndex(s-ago, from);
+        const t = wrapIndex(s-ago, value);
+
+        if(ago >= value) {
+          /** Free any steps no longer tracked; merging reuses `texture`s. */
+          each((p) => {
+              p.framebuffer?.destroy?.();
+              --size.passes;
+              p.framebuffer && --size.framebuffers;
+            },
+            ps[f]);
+
+          each((c) => {
+              --size.colors;
+
+              if(!merge) {
+                c.texture?.destroy?.();
+                --size.textures;
+              }
+            },
+            ts[f]);
+        }
+        else if(ago >= from) {
+          /** Add any new steps, at the current size. */
+          steps[t] = map(addPass(t, null, size.width, size.height), passesMap);
+        }
+        else {
+          /** Move any kept steps to their new places. */
+          passes[t] = ps[f];
+          textures[t] = ts[f];
+          each((p) => p.step = t, ps[f]);
+          each((c) => c.step = t, ts[f]);
+          steps[t] = map((p) => p.framebuffer, ps[f]);
+        }
+      },
+      range(max(from, value)));
+
+    size.steps = value;
+
+    return merge?.setSteps?.(value, state, from) ?? state;
+  };
+
+  /** Upload data per value into the states; into all steps by default. */
+  to.upload = (data, step, state = to) => uploadData(state, data, step);
+
+  /** Write data per value into only the given entries of a step. */
+  to.write = (entries, data, step, state = to) =>
+    writeEntries(state, entries, data, step);
+
+  /** Read a step's states back per value; the newest step by default. */
+  to.read = (step, from, count, state = to) =>
+    readData(api, state, step, from, count);
+
+  /** Read a step's states back per value, without stalling in `WebGL2`. */
+  to.readAsync = (step, from, count, state = to) =>
+    readDataAsync(api, state, step, from, count);
+
+  /**
+   * Free all `framebuffer`s and `texture`s, and any kept for resizing or
+   * reading; safe to call more than once, as it empties what it frees.
+   */
+  to.destroy = (state = to) => {
+    const { size, passes, textures, steps, merge, reader, fitPass } = state;
+    /** Merging reuses `texture`s across passes; free each only once. */
+    const freed = [];
+
+    // Free `framebuffer`s before the `texture`s bound to them.
+    merge?.destroy?.(state);
+    reader?.destroy?.();
+    fitPass?.destroy?.();
+    state.fitPositions?.destroy?.();
+    state.reader = state.fitPass = state.fitPositions = null;
+
+    each((s) => each((p) => p.framebuffer?.destroy?.(), s), passes.splice(0));
+
+    each((s) => each(({ texture: t }) =>
+          t && !freed.includes(t) && freed.push(t) && t.destroy?.(),
+        s),
+      textures.splice(0));
+
+    steps.length = 0;
+    size.passes = size.framebuffers = size.textures = size.colors = 0;
+
+    return state;
+  };
+
   // Finish here if merge is disabled.
   if(!merge) { return to; }
 
   // Set up the `texture` for states to be merged into.
 
   const m = to.merge = { ...merge };
-  const { all: mAll, next: mNext } = m;
+  const { all: mAll, next: mNext, into: mInto } = m;
   const ms = size.merge = m.size ??= {};
 
-  /** Use any given size info, or merge along `[texture, step]` axes. */
-  ms.width ??= texturesMap.length*width;
-  ms.height ??= stepsL*height;
+  const tl = texturesMap.length;
+
+  /** Any texels of gutter around each block; padding its width and height. */
+  const g = ((m.gutter > 0)? (ms.gutter ??= m.gutter) : (ms.gutter ?? 0));
+  const bw = width+(g*2);
+  const bh = height+(g*2);
+
+  /**
+   * Any grid of tiles to lay out `[texture, step]` blocks in; near-square,
+   * within any maximum `texture` size.
+   */
+  const tiles = m.tiles && !layers &&
+    (ms.tiles = toTiles(tl*stepsL, bw, bh, maxTextureSize));
+
+  /** Notes any problem tiling, rather than logging it; else clears any. */
+  ((m.tiles && layers)?
+    (to.reasons ??= {}).tiles = '`toData`: can\'t tile merged layers; '+
+      'ignoring `tiles`.'
+  : ((tiles?.[1]*bh > maxTextureSize)?
+    (to.reasons ??= {}).tiles = '`toData`: tiles of merged data exceed the '+
+      `maximum \`texture\` size of ${maxTextureSize}.`
+  : delete to.reasons?.tiles));
+
+  /**
+   * Use any given size info, or merge along `[texture, step]` axes; or along
+   * `[texture, 1, step]` axes if merging into layers; or in rows of tiles of
+   * `[texture, step]` blocks if tiling.
+   */
+  ms.width ??= ((tiles)? tiles[0] : tl)*bw;
+  ms.height ??= ((layers)? bh : ((tiles)? tiles[1] : stepsL)*bh);
 
   const [mw, mh] = toShape(m, ms.shape ??= []);
+  /** Any layers' depth; one layer per step. */
+  const md = ((layers)? ms.depth ??= stepsL : null);
 
-  ms.entries ??= (ms.width = mw)*(ms.height = mh);
+  ms.entries ??= (ms.width = mw)*(ms.height = mh)*(md ?? 1);
   /** New merge `texture` and info, or use any given merge `texture`. */
-  m.all = mAll ?? addTexture(mergeChannels, mw, mh)();
+  m.all = mAll ?? addTexture(mergeChannels, mw, mh, null, null, md)();
   /** Empty `framebuffer`, to copy data from each `texture` of each pass. */
   m.next = mNext ?? addPass(null, colorPool[0])();
 
+  /**
+   * Any `framebuffer` wrapping the merged `texture`, to render passes straight
+   * into; or use any given. Rebound upon use as needed; see `renderMerge`.
+   */
+  if(m.direct && output && !(m.into = mInto)) {
+    const { texture: t, width: w, height: h } = m.all;
+
+    const into = m.into = {
+      color: [t], layer: ((layers)? 0 : undefined), width: w, height: h,
+      depth: false, stencil: false
+    };
+
+    into.framebuffer = framebuffer?.(into);
+  }
+
   /** Resize `texture`s, `framebuffer`s, and update `size`. */
   m.resize = (value = to, state = to) => {
-    const { merge, size, maps } = state;
-    const { size: ms = size.merge = {}, all, next } = merge;
+    const { merge, size, maps, fit = fitDef } = state;
+    const { size: ms = size.merge = {}, all, next, layers } = merge;
     const { textures: texturesMap } = maps;
     const shape = toShape(value ?? state, ms.shape ??= []);
     const [w, h] = shape;
+    const tl = texturesMap.length;
+    const g = ms.gutter ?? 0;
+
+    /** Any tiles keep their grid, so each block keeps its tile. */
+    const blocks = ms.tiles || [tl, size.steps];
+
+    /**
+     * Any gutters are left out of each block redrawn apart, by its size and
+     * place before resizing; to copy back into its new place.
+     */
+    const from = {
+      width: (all.width/blocks[0])-(g*2),
+      height: (all.height/((layers)? 1 : blocks[1]))-(g*2),
+      merge: ms
+    };
+
+    /** Redraw a block of a step's row or layer apart from its gutter. */
+    const fitBlock = (_, b) => {
+      const t = b%tl;
+      const s = floor(b/tl);
+      const [x, y] = toMergeAt(from, t, ((layers)? 0 : s), tl);
+      const { width: fw, height: fh } = from;
+      const c = copyTexture(api, all, y, fh, ((layers)? s : undefined), x, fw);
+
+      const f = c &&
+        fitTexture(api, state, { ...all, ...c, width: fw, height: fh },
+          [w, h]);
+
+      c?.texture.destroy?.();
+      c?.framebuffer.destroy?.();
+
+      return f;
+    };
+
+    /**
+     * Redraw the merged data into the new shape, to copy back once resized;
+     * each `[texture, step]` block, or each `texture` block of each layer; or
+     * each block apart, if there are gutters.
+     */
+    const fits = fit &&
+      ((g)? map(fitBlock, range(tl*size.steps))
+      : ((layers)?
+        map((_, l) => fitLayer(api, state, all, l, [w, h], [tl, 1]),
+          range(all.depth))
+      : fitTexture(api, state, all, [w, h], blocks)));
 
     next.framebuffer.resize(next.width = w, next.height = h);
-    ms.width = texturesMap.length*w;
-    ms.height = size.steps*h;
+    ms.width = blocks[0]*(w+(g*2));
+    ms.height = ((layers)? 1 : blocks[1])*(h+(g*2));
 
     const [mw, mh] = toShape(ms, shape);
+    const md = ((layers)? ms.depth = size.steps : 1);
+
+    ms.entries = (ms.width = mw)*(ms.height = mh)*md;
+
+    ((layers)?
+      all.texture.resize(all.width = mw, all.height = mh, all.depth = md)
+    : all.texture.resize(all.width = mw, all.height = mh));
+
+    /** Any gutter around each block, to clamp its edge texels into. */
+    const gs = (g > 0) && toGutters(w, h, g);
+
+    /**
+     * Copy any blocks back apart into their new places, inside gutters; and
+     * refill their gutters.
+     */
+    const fitBlockBack = (f, b) => {
+      const s = floor(b/tl);
+      const [x, y] = toMergeAt(size, b%tl, ((layers)? 0 : s), tl);
+
+      fitBack(f, all, ((layers)? s : undefined), y, x, gs);
+    };
+
+    fits &&
+      ((g)? each(fitBlockBack, fits)
+      : ((layers)? each((f, l) => fitBack(f, all, l), fits)
+      : fitBack(fits, all)));
+
+    return state;
+  };
+
+  /**
+   * Change the number of steps merged, given the number `from` before; copy
+   * out the newest steps' rows (or layers), and back into their new places.
+   */
+  m.setSteps = (value, state = to, from = value) => {
+    const { merge, size, maps, stepNow: s = 0 } = state;
+    const { size: ms = size.merge = {}, all, layers } = merge;
+    const { width: w, height: h } = size;
+    const tl = maps.textures.length;
+    const { tiles, gutter: g = 0 } = ms;
+    /** Each block's size, with any gutter. */
+    const bw = w+(g*2);
+    const bh = h+(g*2);
+
+    /** Copy out each tile of a step, with any gutter, from its place. */
+    const copyTiles = (step) => map((_, t) => {
+        const [x, y] = toMergeAt(size, t, step, tl);
+
+        return copyTexture(api, all, y-g, bh, undefined, x-g, bw);
+      },
+      range(tl));
+
+    /** Copy out the newest steps to keep, from their rows, layers, or tiles. */
+    const kept = map((_, ago) => {
+        const f = wrapIndex(s-ago, from);
+
+        return ((ago >= value)? null
+          : ((layers)? copyTexture(api, all, 0, all.height, f)
+          : ((tiles)? copyTiles(f)
+          : copyTexture(api, all, f*bh, bh))));
+      },
+      range(from));
+
+    /** Any tiles are laid out anew to fit the new number of steps. */
+    if(tiles) {
+      const [c, r] = ms.tiles = toTiles(tl*value, bw, bh, maxTextureSize);
+
+      ms.width = c*bw;
+      ms.height = r*bh;
+
+      ((ms.height > maxTextureSize)?
+        (state.reasons ??= {}).tiles = '`setSteps`: tiles of merged data '+
+          `exceed the maximum \`texture\` size of ${maxTextureSize}.`
+      : delete state.reasons?.tiles);
+    }
+    else { ms.height = ((layers)? bh : value*bh); }
+
+    const [mw, mh] = toShape(ms, ms.shape ??= []);
+    const md = ((layers)? ms.depth = value : 1);
+
+    ms.entries = (ms.width = mw)*(ms.height = mh)*md;
+
+    ((layers)?
+      all.texture.resize(all.width = mw, all.height = mh, all.depth = md)
+    : all.texture.resize(all.width = mw, all.height = mh));
+
+    /** Copy the newest steps back into their new rows, layers, or tiles. */
+    each((k, ago) => {
+        const t = wrapIndex(s-ago, value);
+
+        ((layers)? fitBack(k, all, t)
+        : ((tiles)?
+          k && each((kt, i) => {
+              const [x, y] = toMergeAt(size, i, t, tl);
+
+              fitBack(kt, all, null, y-g, x-g);
+            },
+            k)
+        : fitBack(k, all, null, t*bh)));
+      },
+      kept);
+
+    return state;
+  };
+
+  /** Free the merged `texture`, and the `framebuffer`s copying into it. */
+  m.destroy = (state = to) => {
+    const { merge } = state;
 
-    ms.entries = (ms.width = mw)*(ms.height = mh);
-    all.texture.resize(all.width = mw, all.height = mh);
+    merge.next?.framebuffer?.destroy?.();
+    merge.into?.framebuffer?.destroy?.();
+    merge.all?.texture?.destroy?.();
+    merge.all = merge.next = merge.into = null;
 
     return state;
   };
@@ -0,0 +1,28 @@
+/**
+ * Parsing `GLSL` versions.
+ *
+ * @module
+ * @category JS
+ */
+
+import { glslRx } from './const';
+
+const { isFinite } = Number;
+
+/**
+ * Parse a `GLSL` version into a `number`.
+ *
+ * @see {@link const.glslRx}
+ *
+ * @param {string|number} version A `GLSL` version `string`, expected in a `GL`
+ *   parameter `SHADING_LANGUAGE_VERSION` format to parse into a `number`, from
+ *   any first found version number or the full given `string` otherwise; or a
+ *   `number`, to use as-is.
+ *
+ * @returns {number} A `GLSL` version `number`, parsed from the given `version`.
+ */
+export const getGLSL = (version) =>
+  ((isFinite(version))? version
+  : parseFloat(version?.match?.(glslRx)?.[0] ?? version, 10));
+
+export default getGLSL;
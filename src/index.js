@@ -13,41 +13,16 @@
  * @module (root)
  * @category Root
  * @category JS
- *
- * @todo Add a way to look up values from previous passes in the current step:
- *   - We have `past` state inputs and the `next` state outputs, so adjacent
- *     states in the current pass can be called `got` states.
- *   - All states are already accessible in the shader, just need a way to
- *     declare the lookup is desired; maybe a negative index in `derives` should
- *     signify that, and be handled in the `tapStates` macros?
- * @todo Add a way to resize all `gpgpu` resources in one convenient function.
- * @todo Handle values with more channels than `channelsMax`...
  */
 
 import './api';
-import { glslRx } from './const';
+import { getGLSL } from './glsl';
 import { mapStep } from './maps';
 import { toData } from './data';
 import { toUniforms } from './uniforms';
 import { toStep } from './step';
 
-const { isFinite } = Number;
-
-/**
- * Parse a `GLSL` version into a `number`.
- *
- * @see {@link const.glslRx}
- *
- * @param {string|number} version A `GLSL` version `string`, expected in a `GL`
- *   parameter `SHADING_LANGUAGE_VERSION` format to parse into a `number`, from
- *   any first found version number or the full given `string` otherwise; or a
- *   `number`, to use as-is.
- *
- * @returns {number} A `GLSL` version `number`, parsed from the given `version`.
- */
-export const getGLSL = (version) =>
-  ((isFinite(version))? version
-  : parseFloat(version?.match?.(glslRx)?.[0] ?? version, 10));
+export { getGLSL };
 
 /**
  * Sets up all the maps, data, inputs, and commands for a `gpgpu` process.
@@ -84,6 +59,12 @@ export const getGLSL = (version) =>
  *
  * @returns {object} The given `to` data `object`; set up with data resources
  *   for a `gpgpu` process. See `mapStep`, `toData`, `toUniforms`, `toStep`.
+ *   Resize all its resources in one call by `to.resize`, keeping their
+ *   contents. Change its number of `steps` by `to.setSteps`, keeping the
+ *   newest states and rebuilding its `uniforms` and `shader`s to match.
+ *   Free all its `GL` resources by `to.destroy`. See `toData` and `toStep`.
+ *   Any problems with the `maps` are left in `to.maps.invalid` for the caller
+ *   to check, rather than logged or thrown. See `mapSamples`.
  */
 export function gpgpu(api, state = {}, to = state) {
   const { maxDrawbuffers, glsl: apiGLSL } = api.limits ?? api;
@@ -98,9 +79,32 @@ export function gpgpu(api, state = {}, to = state) {
   state.maps = mapStep(maps, to.maps ??= {});
 
   toData(api, state, to);
+
+  const { destroy } = to;
+
   toUniforms(state, to.uniforms ??= {});
   toStep(api, state, to);
 
+  const { setSteps, destroy: destroyStep } = to;
+
+  /**
+   * Change the number of `steps` in place, keeping the newest states; then
+   * rebuild the `uniforms`, `shader`s, and `command` that depend on them.
+   */
+  to.setSteps = (steps, state = to) => {
+    setSteps(steps, state);
+    toUniforms(state, state.uniforms ??= {});
+    state.rebuild?.();
+
+    return state;
+  };
+
+  /**
+   * Free all the `GL` resources of the step and the data, and clear any cached
+   * `macro`s used; safe to call more than once.
+   */
+  to.destroy = (state = to) => destroy(destroyStep(state));
+
   return to;
 }
 
@@ -8,9 +8,12 @@
  * @param {float|int|vec2|ivec2} `[size=1.0]` Texture's size, expect
  *   `[width, height]`, or if given a scalar interpret both as `side`.
  * @param {float|vec2} `[pad=0.5]` Texel `pad` to offset, expect range `[0, 1]`.
+ * @param {float|int} `[gutter]` Any texels of gutter around the `size` (e.g:
+ *   around each block of merged states), to offset inside; if given, the `uv`
+ *   is of the padded size, `size+(gutter*2)`.
  *
  * @returns {vec2} The `uv` offset by `pad` to texel center, expect range
- *   `[0+pad, 1-pad]`.
+ *   `[0+pad, 1-pad]`; or inside any `gutter`.
  */
 
 vec2 offsetUV(vec2 uv, float size, float pad) {
@@ -37,6 +40,30 @@ vec2 offsetUV(vec2 uv, ivec2 size, vec2 pad) {
   return offsetUV(uv, vec2(size), pad);
 }
 
+vec2 offsetUV(vec2 uv, float size, float pad, float gutter) {
+  return ((uv*(size-1.0))+pad+gutter)/(size+(gutter*2.0));
+}
+
+vec2 offsetUV(vec2 uv, vec2 size, float pad, float gutter) {
+  return ((uv*(size-1.0))+pad+gutter)/(size+(gutter*2.0));
+}
+
+vec2 offsetUV(vec2 uv, vec2 size, vec2 pad, float gutter) {
+  return ((uv*(size-1.0))+pad+gutter)/(size+(gutter*2.0));
+}
+
+vec2 offsetUV(vec2 uv, int size, float pad, int gutter) {
+  return offsetUV(uv, float(size), pad, float(gutter));
+}
+
+vec2 offsetUV(vec2 uv, ivec2 size, float pad, int gutter) {
+  return offsetUV(uv, vec2(size), pad, float(gutter));
+}
+
+vec2 offsetUV(vec2 uv, ivec2 size, vec2 pad, int gutter) {
+  return offsetUV(uv, vec2(size), pad, float(gutter));
+}
+
 vec2 offsetUV(vec2 uv, float size) { return offsetUV(uv, size, 0.5); }
 vec2 offsetUV(vec2 uv, vec2 size) { return offsetUV(uv, size, 0.5); }
 vec2 offsetUV(vec2 uv, int size) { return offsetUV(uv, size, 0.5); }
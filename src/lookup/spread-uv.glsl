@@ -8,9 +8,12 @@
  * @param {float|int|vec2|ivec2} `[size=1.0]` Texture's size, expect
  *   `[width, height]`, or if given a scalar interpret both as `side`.
  * @param {float|vec2} `[pad=0.5]` Texel `pad` to spread, expect range `[0, 1]`.
+ * @param {float|int} `[gutter]` Any texels of gutter around the `size` (e.g:
+ *   around each block of merged states), to spread inside; if given, shifts
+ *   the range by `gutter` into the padded size, `size+(gutter*2)`.
  *
  * @returns {vec2} The UV with spread to texel edges, expect range
- *   `[0-pad, size+pad]`.
+ *   `[0-pad, size+pad]`; or shifted inside any `gutter`.
  */
 
 vec2 spreadUV(vec2 uv, float size, float pad) { return (uv*size)-pad; }
@@ -34,6 +37,30 @@ vec2 spreadUV(vec2 uv, ivec2 size, vec2 pad) {
   return spreadUV(uv, vec2(size), pad);
 }
 
+vec2 spreadUV(vec2 uv, float size, float pad, float gutter) {
+  return spreadUV(uv, size, pad)+gutter;
+}
+
+vec2 spreadUV(vec2 uv, vec2 size, float pad, float gutter) {
+  return spreadUV(uv, size, pad)+gutter;
+}
+
+vec2 spreadUV(vec2 uv, vec2 size, vec2 pad, float gutter) {
+  return spreadUV(uv, size, pad)+gutter;
+}
+
+vec2 spreadUV(vec2 uv, int size, float pad, int gutter) {
+  return spreadUV(uv, float(size), pad, float(gutter));
+}
+
+vec2 spreadUV(vec2 uv, ivec2 size, float pad, int gutter) {
+  return spreadUV(uv, vec2(size), pad, float(gutter));
+}
+
+vec2 spreadUV(vec2 uv, ivec2 size, vec2 pad, int gutter) {
+  return spreadUV(uv, vec2(size), pad, float(gutter));
+}
+
 vec2 spreadUV(vec2 uv, float size) { return spreadUV(uv, size, 0.5); }
 vec2 spreadUV(vec2 uv, vec2 size) { return spreadUV(uv, size, 0.5); }
 vec2 spreadUV(vec2 uv, int size) { return spreadUV(uv, size, 0.5); }
@@ -9,18 +9,17 @@
  * @category JS
  *
  * @todo Redo examples, especially `macroTaps` and `macroPass`.
- * @todo Ensure the `output_N` in `macroOutput` can work with `WebGL2`; look at
- *   using `layout(location=attach_N) out data_N`, not `gl_FragData[attach_N]`.
- *   - [SO: Multiple output textures from the same program](https://stackoverflow.com/questions/51793336/multiple-output-textures-from-the-same-program)
- *   - [SO: GL FragData must be constant zero](https://stackoverflow.com/questions/46740817/gl-fragdata-must-be-constant-zero)
- *   - [SO: How are layout qualifiers better than getAttribLocation in WebGL2](https://stackoverflow.com/questions/50258822/how-are-layout-qualifiers-better-than-getattriblocation-in-webgl2)
  */
 
 import reduce from '@epok.tech/fn-lists/reduce';
 import map from '@epok.tech/fn-lists/map';
 import { type } from '@epok.tech/is-type/type';
 
-import { preDef, boundDef } from './const';
+import { preDef, boundDef, stepGot } from './const';
+import {
+    valueChannels, valuePart, hasGots, integerTextures, integerIndex,
+    integerSuffix
+  } from './maps';
 
 /** Escaped line-feed for easier reading. */
 export const lineFeed = ' \\\n';
@@ -32,6 +31,111 @@ export const rgba = 'rgba';
 export const cacheDef = {};
 /** Gives cache keys from simple plain `object` inputs. */
 const id = JSON.stringify;
+const { isFinite } = Number;
+/** Names a whole `number` for `GLSL`, where `-` is named `n` (negative). */
+const toName = (v) => ((v < 0)? 'n'+(-v) : ''+v);
+
+/**
+ * How many states use each cached result, by its key, per `cache`; to clear
+ * each once no states use it. See `toCache` and `clearCache`.
+ */
+const cacheUsers = new WeakMap();
+
+/** Counts the states using a cached result, by its key in its `cache`. */
+const toUsers = (cache) =>
+  cacheUsers.get(cache) ?? cacheUsers.set(cache, {}).get(cache);
+
+/** Frees a state's use of a cached result; clears it once none use it. */
+function freeCache(cache, key) {
+  const users = toUsers(cache);
+
+  if(--users[key] > 0) { return; }
+
+  delete users[key];
+  delete cache[key];
+}
+
+/**
+ * Caches a result by its key, if there's any `cache`; noting the key and its
+ * `cache` in `state.cached`, to clear once the `state` is no longer used.
+ * Counts each state using the result once, so it's only cleared once none do.
+ *
+ * @see {@link clearCache}
+ *
+ * @param {object} state The state the result is for; its `cached` keys are
+ *   set up if not already.
+ * @param {object|false} [cache] Any object to cache the result in.
+ * @param {string} key The key to cache the result by.
+ * @param {*} to The result to cache.
+ *
+ * @returns {*} The given result, `to`.
+ */
+export function toCache(state, cache, key, to) {
+  if(!cache) { return to; }
+
+  const cached = state.cached ??= {};
+  const c = cached[key];
+
+  if(c !== cache) {
+    // Any other `cache` the state used for this key is no longer used.
+    c && freeCache(c, key);
+
+    const users = toUsers(cached[key] = cache);
+
+    users[key] = (users[key] ?? 0)+1;
+  }
+
+  return cache[key] = to;
+}
+
+/**
+ * Frees all the cached results a state has used; e.g: once it's destroyed.
+ * Clears each result that no other states use; others are kept for the states
+ * still using them.
+ *
+ * @see {@link toCache}
+ *
+ * @param {object} state The state to clear the cached results of.
+ * @param {object} [state.cached] The keys of the cached results the `state`
+ *   has used, each with its `cache`; emptied here.
+ *
+ * @returns {object} The given `state`.
+ */
+export function clearCache(state) {
+  const { cached } = state;
+
+  for(let k in cached) {
+    freeCache(cached[k], k);
+    delete cached[k];
+  }
+
+  return state;
+}
+
+/**
+ * The `GLSL` layer of a past step of states merged into layers; from the
+ * `stepNow` layer being drawn, back by `step`, wrapped over `steps`, as in
+ * `updateMerge`. A layer index for `sampler2DArray`; a depth in `[0, 1]` for
+ * `sampler3D` (if `layers` is `'3d'`).
+ */
+const toLayer = (layers, step, stepNow, steps) => {
+  const l = `mod(float(${stepNow})-1.0-(${step}), float(${steps}))`;
+
+  return ((layers === '3d')? `((${l}+0.5)/float(${steps}))` : l);
+};
+
+/**
+ * The `GLSL` tile of a past step's `texture` of states merged into tiles; as
+ * whole tiles into the grid of `tiles`, in rows of `[texture, step]` blocks.
+ * The step back from the `stepNow` row, wrapped over `steps`; the `texture`
+ * wrapped over `textures`; as in `updateMerge` and `toMergeAt`.
+ */
+const toTile = (texture, step, stepNow, steps, textures, tiles) => {
+  const b = `((${toLayer(true, step, stepNow, steps)}*float(${textures}))+`+
+    `mod(${texture}, float(${textures}))+0.5)`;
+
+  return `vec2(floor(mod(${b}, ${tiles}.x)), floor(${b}/${tiles}.x))`;
+};
 
 /** Names for each part of the macro handling process available to hooks. */
 export const hooks = {
@@ -39,7 +143,7 @@ export const hooks = {
   macroPass: '',
   /** Each part of the set of macros. */
   macroValues: 'values', macroOutput: 'output',
-  macroSamples: 'samples', macroTaps: 'taps'
+  macroSamples: 'samples', macroTaps: 'taps', macroEntries: 'entries'
 };
 
 /**
@@ -311,6 +415,17 @@ export const getGLSLList = (type, name, a, pre = '', glsl = 1, init) =>
  * These macros define mappings from values to their textures and channels.
  * Caches the result if `macros` generation is enabled, to help reuse shaders.
  *
+ * Any values split into parts across textures define these macros per-part,
+ * suffixed by the part's index (e.g: `texture_0_1`, `channels_0_1`); and a
+ * function-like macro joining all parts' channels, given the `data` and the
+ * reads of each part (e.g: `mat3(value_0(data, reads_1_0, reads_1_1,
+ * reads_1_2))`). See `mapGroups` and `mapSamples`.
+ *
+ * If any values are got from earlier passes in the current step, and states
+ * are split across `texture`s, then `gots` defines how many states to get from
+ * `texture`s for this step; e.g: `uniform sampler2D got[gots];`.
+ * See `mapSamples` and `macroTaps`.
+ *
  * @see {@link hasMacros}
  * @see {@link maps.mapGroups}
  * @see {@link data.toData}
@@ -390,6 +505,15 @@ export const getGLSLList = (type, name, a, pre = '', glsl = 1, init) =>
  *   grouped into `texture`s. See `mapGroups`.
  * @param {array.<array.<number>>} state.maps.textures The groupings of values
  *   into `texture`s. See `mapGroups`.
+ * @param {array.<array.<number>>} [state.maps.parts] Any parts of values
+ *   split across `texture`s. See `mapGroups`.
+ * @param {array.<array.<number>>} [state.maps.valueToTextures] The `texture`
+ *   of each part of any split values. See `mapGroups`.
+ * @param {array.<array.<array.<number>>>} [state.maps.samples] Any samples,
+ *   to check for any values got in the current step. See `mapSamples`.
+ * @param {array.<'int'|'uint'>} [state.maps.integers] Any integer type of each
+ *   `texture`; their states are counted apart from others' (e.g: `splitsUint`,
+ *   `texturesUint`, and `texturesFloat` for the others). See `mapGroups`.
  * @param {array} state.maps.passes Passes drawn per-step. See `mapGroups`.
  * @param {array|number} state.steps States drawn across frames. See `toData`.
  * @param {number} [state.bound=boundDef] How many steps are bound as outputs,
@@ -397,6 +521,17 @@ export const getGLSLList = (type, name, a, pre = '', glsl = 1, init) =>
  * @param {object} [state.size] Any size information about the GL resources.
  * @param {number} [state.size.entries] The number of data entries per state,
  *   if given. See `toData`.
+ * @param {object} [state.merge] Any merged state texture; uses separate state
+ *   textures if not given. See `toData`.
+ * @param {'array'|'3d'|true} [state.merge.layers] Any layers states are merged
+ *   into; if given, `statesSampler` defines the `sampler` type to declare the
+ *   `states` with. See `toData`.
+ * @param {boolean} [state.merge.tiles] Whether states are merged into tiles;
+ *   if so (and not into layers), `tiled` is defined, to declare the
+ *   `uniform vec2 tiles` with. See `toData`.
+ * @param {number} [state.merge.gutter] Any texels of gutter around each block
+ *   of merged states; if so, `gutter` is defined as its size, and
+ *   `gutterUV(uv)` pads a block's `uv` inside its gutter. See `toData`.
  * @param {object|false} [state.cache=cacheDef] Any object to cache any inputs'
  *   results in, `false`y to skip caching; uses `cacheDef` if not given.
  *
@@ -414,44 +549,111 @@ export function macroValues(state, on) {
       cache = cacheDef
     } = state;
 
-  const { values, textures, passes: { length: passesL }, aka } = maps;
+  const {
+      values, textures, passes: { length: passesL }, aka, parts,
+      valueToTextures, integers
+    } = maps;
+
   const stepsL = steps.length ?? steps;
   const entries = size?.entries;
   const split = !merge;
+  const layers = merge?.layers;
+  const tiled = !layers && !!merge?.tiles;
+  const gutter = (merge?.gutter > 0) && merge.gutter;
+
+  const gots = split && hasGots(maps);
 
   const c = cache &&
     `macro@${key}@${n}|${bound}|${id(values)}|${id(textures)}|${stepsL}|${
-      passesL}|${entries}|${split}|${id(aka)}`;
+      passesL}|${entries}|${split}|${layers}|${tiled}|${gutter}|${id(aka)}|${
+      id(parts)}|${id(valueToTextures)}|${gots}|${id(integers)}`;
 
-  if((to = cache?.[c]) != null) { return to; }
+  if((to = cache?.[c]) != null) { return toCache(state, cache, c, to); }
 
   const texturesL = textures.length;
   const stepsPast = stepsL-bound;
 
   to = reduce((s, texture, t, _, i = 0) => reduce((s, v) => {
+          /** Any part of a split value, named by its index in the value. */
+          const k = valuePart(maps, v, t);
+          const vk = v+((k < 0)? '' : '_'+k);
+          const channels = rgba.slice(i, i += valueChannels(maps, v, t));
+
           const to = s+
-            `#define ${n}texture_${v} ${t}\n`+
-            `#define ${n}channels_${v} ${rgba.slice(i, i += values[v])}\n\n`;
+            `#define ${n}texture_${vk} ${t}\n`+
+            `#define ${n}channels_${vk} ${channels}\n\n`;
 
           if(!aka) { return to; }
 
-          const a = aka[v];
+          const a = aka[v]+((k < 0)? '' : '_'+k);
 
           return to+
-            `#define ${n}texture_${a} ${n}texture_${v}\n`+
-            `#define ${n}channels_${a} ${n}channels_${v}\n\n`;
+            `#define ${n}texture_${a} ${n}texture_${vk}\n`+
+            `#define ${n}channels_${a} ${n}channels_${vk}\n\n`;
         },
         texture, s),
       textures, '')+
+    // Join the parts of any split values, from the reads of each part.
+    reduce((s, ps, v) => {
+        const rs = map((_, k) => 'r_'+k, ps, []);
+
+        const to = s+
+          `/**\n`+
+          ` * Joins the ${ps.length} parts of split value \`${v}\`, from `+
+            `\`data\` at reads of each part.\n`+
+          ` * Gives a list of channels; e.g: to construct \`mat3\`, \`mat4\`.\n`+
+          ` */\n`+
+          `#define ${n}value_${v}(data, ${rs.join(', ')}) ${
+            reduce((j, r, k) => (j && j+', ')+
+                `data[${r}].${n}channels_${v}_${k}`,
+              rs, '')}\n`+
+          `#define ${n}parts_${v} ${ps.length}\n\n`;
+
+        if(!aka) { return to; }
+
+        const a = aka[v];
+
+        return to+
+          `#define ${n}value_${a} ${n}value_${v}\n`+
+          `#define ${n}parts_${a} ${n}parts_${v}\n\n`;
+      },
+      parts ?? [], '')+
     ((entries || (entries === 0))? `#define ${n}entries ${entries}\n` : '')+
     `#define ${n}textures ${texturesL}\n`+
     `#define ${n}passes ${passesL}\n`+
     `#define ${n}bound ${bound}\n`+
     `#define ${n}steps ${stepsL}\n`+
     `#define ${n}stepsPast ${stepsPast}\n`+
-    `#define ${n}${(split)? `splits` : `merged`} ${texturesL*stepsPast}\n\n`;
+    `#define ${n}${(split)? `splits` : `merged`} ${
+      ((split)? integerTextures(maps) : texturesL)*stepsPast}\n`+
+    // Any integer `texture`s' states, as `uniform isampler2D statesInt[...]`.
+    ((!integers)? ''
+    : `#define ${n}texturesFloat ${integerTextures(maps)}\n`)+
+    reduce((s, int) => {
+        const l = integerTextures(maps, int);
+        const x = integerSuffix(int);
+
+        return ((!l)? s
+          : s+`#define ${n}textures${x} ${l}\n`+
+            `#define ${n}splits${x} ${l*stepsPast}\n`+
+            ((gots)? `#define ${n}gots${x} ${l}\n` : ''));
+      },
+      ((integers)? ['int', 'uint'] : []), '')+
+    // Any layers states are merged into, as `uniform statesSampler states`.
+    ((!layers)? ''
+    : `#define ${n}statesSampler ${
+        (layers === '3d')? 'sampler3D' : 'sampler2DArray'}\n`)+
+    // Any tiles states are merged into, as `uniform vec2 tiles`.
+    ((tiled)? `#define ${n}tiled\n` : '')+
+    // Any gutter around each merged block, and a block's `uv` inside it.
+    ((!gutter)? ''
+    : `#define ${n}gutter ${gutter}\n`+
+      `#define ${n}gutterUV(uv) (((vec2(uv)*${n}stateShape.xy)+`+
+        `float(${n}gutter))/(${n}stateShape.xy+float(2*${n}gutter)))\n`)+
+    // Any states got this step, as `uniform sampler2D got[gots]`.
+    ((gots)? `#define ${n}gots ${integerTextures(maps)}\n` : '')+'\n';
 
-  return ((cache)? cache[c] = to : to);
+  return toCache(state, cache, c, to);
 }
 
 /**
@@ -460,7 +662,23 @@ export function macroValues(state, on) {
  * These macros define mappings from values to their outputs, if bound.
  * Caches the result if `macros` generation is enabled, to help reuse shaders.
  *
+ * Any values split into parts across textures define these macros per-part,
+ * suffixed by the part's index (e.g: `output_0_1`); each part may be output in
+ * a different pass. See `mapGroups`.
+ *
+ * In `GLSL3`, outputs are declared per bound `texture` of the pass (e.g:
+ * `layout(location = 0) out highp vec4 fragData_0;`), rather than using
+ * `gl_FragData`; with explicit precision, as macros precede any precision
+ * given in the shader. Each is sized to its `texture`'s channels (e.g: `vec2`
+ * for `RG`, or a scalar `float` for `R`, output without a swizzle).
+ * As a `GLSL3` shader must begin with its `#version` directive, these macros
+ * go after it; `toStep` places them so, but any caller prepending them itself
+ * must do likewise (see `toMacroShader`).
+ * - [SO: Multiple output textures from the same program](https://stackoverflow.com/questions/51793336/multiple-output-textures-from-the-same-program)
+ * - [SO: GL FragData must be constant zero](https://stackoverflow.com/questions/46740817/gl-fragdata-must-be-constant-zero)
+ *
  * @see {@link hasMacros}
+ * @see {@link step.toMacroShader}
  * @see {@link maps.mapGroups}
  * @see {@link data.toData}
  * @see {@link cacheDef}
@@ -524,6 +742,26 @@ export function macroValues(state, on) {
  * '#define attach_2 1\n'+
  * '#define output_2 gl_FragData[attach_2].b\n'+
  * '\n';
+ *
+ * // `GLSL3` outputs declared per bound `texture`.
+ * state.glsl = 3;
+ * macroOutput(state); // =>
+ * '#define passNow 0\n'+
+ * 'layout(location = 0) out highp vec4 fragData_0;\n'+
+ * 'layout(location = 1) out highp vec4 fragData_1;\n'+
+ * '\n'+
+ * '#define bound_1 0\n'+
+ * '#define attach_1 0\n'+
+ * '#define output_1 fragData_0.rgba\n'+
+ * '\n'+
+ * '#define bound_0 1\n'+
+ * '#define attach_0 1\n'+
+ * '#define output_0 fragData_1.rg\n'+
+ * '\n'+
+ * '#define bound_2 1\n'+
+ * '#define attach_2 1\n'+
+ * '#define output_2 fragData_1.b\n'+
+ * '\n';
  * ```
  *
  * @param {object} state Properties for generating the macros. See `toData`:
@@ -541,6 +779,19 @@ export function macroValues(state, on) {
  *   into textures. See `mapGroups`.
  * @param {array.<array.<number>>} state.maps.passes The groupings of textures
  *   into passes. See `mapGroups`.
+ * @param {array.<array.<number>>} [state.maps.parts] Any parts of values
+ *   split across textures. See `mapGroups`.
+ * @param {array.<array.<number>>} [state.maps.valueToTextures] The texture of
+ *   each part of any split values. See `mapGroups`.
+ * @param {array.<'int'|'uint'>} [state.maps.integers] Any integer type of each
+ *   `texture`; outputs of integer `texture`s are declared `ivec4` or `uvec4`.
+ *   See `mapGroups`.
+ * @param {object} [state.size] Any size information about the `GL` resources.
+ * @param {array.<number>} [state.size.channels] Any channels of each
+ *   `texture`, to size its output by in `GLSL3`; `4` if not given. See
+ *   `toData`.
+ * @param {number} [state.glsl=1] The `GLSL` language version; declares outputs
+ *   by `layout` if 3 or greater, otherwise uses `gl_FragData`.
  * @param {object|false} [state.cache=cacheDef] Any object to cache any inputs'
  *   results in, `false`y to skip caching; uses `cacheDef` if not given.
  *
@@ -552,36 +803,63 @@ export function macroOutput(state, on) {
 
   if(to != null) { return to; }
 
-  const { passNow: p, maps, pre: n = preDef, cache = cacheDef } = state;
-  const { values, textures, passes, aka } = maps;
+  const {
+      passNow: p, maps, glsl, size, pre: n = preDef, cache = cacheDef
+    } = state;
+
+  const {
+      values, textures, passes, aka, parts, valueToTextures, integers
+    } = maps;
+
   const pass = passes[p];
+  const glsl3 = (glsl >= 3);
+  /** Any channels of each bound `texture`, in `GLSL3`; `4` if not given. */
+  const channels = glsl3 && map((t) => size?.channels?.[t] ?? 4, pass, []);
 
   const c = cache &&
     `macro@${key}@${n}|${p}|${id(values)}|${id(textures)}|${id(passes)}|${
-      id(aka)}`;
+      id(aka)}|${id(parts)}|${id(valueToTextures)}|${glsl3}|${id(integers)}|${
+      channels}`;
+
+  /** Each bound output; declared by `layout` in `GLSL3`, else `gl_FragData`. */
+  const output = ((glsl3)? (bound) => n+'fragData_'+bound
+    : (_, vk) => `gl_FragData[${n}attach_${vk}]`);
 
   to = cache?.[c] ??
     `#define ${n}passNow ${p}\n${
+    ((!glsl3)? ''
+    : reduce((s, t, b) =>
+          s+`layout(location = ${b}) out highp ${
+            ((channels[b] === 1)? integers?.[t] ?? 'float'
+            : `${integers?.[t]?.[0] ?? ''}vec${channels[b]}`)} ${
+            output(b)};\n`,
+        pass, ''))}${
     reduce((s, texture, bound, _, i = 0) => reduce((s, v) => {
+          /** Any part of a split value, named by its index in the value. */
+          const k = valuePart(maps, v, texture);
+          const vk = v+((k < 0)? '' : '_'+k);
+          const swizzle = rgba.slice(i, i += valueChannels(maps, v, texture));
+
           const to = s+'\n'+
-            `#define ${n}bound_${v} ${texture}\n`+
-            `#define ${n}attach_${v} ${bound}\n`+
-            `#define ${n}output_${v} gl_FragData[${n}attach_${v}].${
-              rgba.slice(i, i += values[v])}\n`;
+            `#define ${n}bound_${vk} ${texture}\n`+
+            `#define ${n}attach_${vk} ${bound}\n`+
+            `#define ${n}output_${vk} ${output(bound, vk)}${
+              // A single-channel output is a scalar, which can't swizzle.
+              ((channels?.[bound] === 1)? '' : '.'+swizzle)}\n`;
 
           if(!aka) { return to; }
 
-          const a = aka[v];
+          const a = aka[v]+((k < 0)? '' : '_'+k);
 
           return to+'\n'+
-            `#define ${n}bound_${a} ${n}bound_${v}\n`+
-            `#define ${n}attach_${a} ${n}attach_${v}\n`+
-            `#define ${n}output_${a} ${n}output_${v}\n`;
+            `#define ${n}bound_${a} ${n}bound_${vk}\n`+
+            `#define ${n}attach_${a} ${n}attach_${vk}\n`+
+            `#define ${n}output_${a} ${n}output_${vk}\n`;
         },
         textures[texture], s),
       pass, '')}\n`;
 
-  return ((cache)? cache[c] = to : to);
+  return toCache(state, cache, c, to);
 }
 
 /**
@@ -592,6 +870,11 @@ export function macroOutput(state, on) {
  * from sampled data in a `reads` list (once sampled into a `data` list, as in
  * `macroTaps` or similar).
  *
+ * Any aliases of reads of values got earlier in the current step (a `step` of
+ * `stepGot`) are suffixed `_got`, rather than by steps into the past.
+ * Any aliases of reads of neighbour samples are suffixed by their offset; e.g:
+ * `reads_density_density_at_n1_0` for an `offset` of `[-1, 0]`.
+ *
  * They're set up as function-like macros that may be called from the shader to
  * initialise the mappings arrays with a given name.
  * Caches the result if `macros` generation is enabled, to help reuse shaders.
@@ -729,7 +1012,7 @@ export function macroSamples(state, on) {
       glsl, pre: n = preDef, cache = cacheDef
     } = state;
 
-  const { samples, reads, readsToValue, aka } = maps;
+  const { samples, reads, readsToValue, aka, valueToTextures } = maps;
   const passSamples = samples?.[p];
   const passReads = reads?.[p];
   const passReadsToValue = readsToValue?.[p];
@@ -737,12 +1020,15 @@ export function macroSamples(state, on) {
 
   const c = cache &&
     `macro@${key}@${n}|${p}|${id(passSamples)}|${id(passReads)}|${
-      id(passReadsToValue)}|${id(aka)}|${stepsPast}|${glsl}`;
+      id(passReadsToValue)}|${id(aka)}|${stepsPast}|${glsl}|${
+      id(valueToTextures)}`;
 
   to = cache?.[c] ??
     ((!passSamples?.length)? ''
     : `#define ${n}useSamples${lf+
-        getGLSLList('ivec2', n+'samples', passSamples, 'const', glsl)}\n`)+
+        // Any neighbour samples give all samples `[step, texture, x, y]`.
+        getGLSLList('ivec'+passSamples[0].length, n+'samples', passSamples,
+          'const', glsl)}\n`)+
     ((!passReads?.length)? ''
     : reduce((s, reads, v) => {
           const to = s+`#define ${n}useReads_${v+lf+
@@ -763,10 +1049,16 @@ export function macroSamples(state, on) {
             `#define ${n}useReads_${akaAt+lf
             }${n}useReads_${v+
             reduce((s, read, r) => {
-                const idTo = valueReadsToValue[r];
-                const akaTo = aka[idTo];
                 /** How many steps into the past is the sample being read. */
-                const past = passSamples[read][0];
+                const [past, texture, x, y] = passSamples[read];
+                /** Any part of a split value, named by its index. */
+                const k = valuePart(maps, valueReadsToValue[r], texture);
+
+                /** Any neighbour's offset, named by its `x` and `y`. */
+                const at = ((x || y)? `_at_${toName(x)}_${toName(y)}` : '');
+                const part = ((k < 0)? '' : '_'+k)+at;
+                const idTo = valueReadsToValue[r]+part;
+                const akaTo = aka[valueReadsToValue[r]]+part;
                 /** How many steps from the last is the sample being read. */
                 const last = stepsPast-past-1;
                 const note = `Alias for \`${akaAt}\` reads \`${akaTo}\` at `;
@@ -788,6 +1080,20 @@ export function macroSamples(state, on) {
                 /** Left side of assignment. */
                 let left;
 
+                // Any value already written this step is read as a `got` state.
+                if(past === stepGot) {
+                  const noteGot = `${note}this step, already written by an `+
+                    'earlier pass; ';
+
+                  return s+lf+
+                    ((s.indexOf(left = `${akaAKA}_got = `) >= 0)? ''
+                    : `/** ${noteGot}got. */${left+right}`)+
+                    ((s.indexOf(left = `${idAKA}_got = `) >= 0)? ''
+                    : `/** ${noteGot}got. */${left+right}`)+
+                    ((s.indexOf(left = `${akaID}_got = `) >= 0)? ''
+                    : `/** ${noteGot}got. */${left+right}`);
+                }
+
                 return s+lf+
                   // Combos for implied newest, bare.
                   ((past || (s.indexOf(left = `${akaAKA} = `) >= 0))? ''
@@ -836,7 +1142,7 @@ export function macroSamples(state, on) {
       `#define ${n}useReads_aka${
         reduce((s, _, v) => `${s+lf+n}useReads_${v}_aka`, passReads, '')}\n\n`);
 
-  return ((cache)? cache[c] = to : to);
+  return toCache(state, cache, c, to);
 }
 
 /**
@@ -848,11 +1154,26 @@ export function macroSamples(state, on) {
  *
  * Handles sampling states in a flat array of textures, or merged in one texture
  * (in both `sampler2D`, and `sampler3D`/`sampler2DArray` where supported).
+ *
+ * Any neighbour samples (`derive`s with an `offset`) are offset from the `uv`
+ * by texels of the `stateShape` `uniform`, and handled beyond the bounds of the
+ * data by their `boundary`; clamped to the edges, wrapped around to opposite
+ * edges, or given a constant value. See `mapSamples`.
  * Merging allows shaders to access past steps by non-constant lookups; e.g:
  * attributes cause `sampler array index must be a literal expression` on
  * `GLSL3` spec and other platforms (e.g: `D3D`); note these need texture repeat
  * wrapping.
  *
+ * In `GLSL3`, also defines integer-addressed taps by `texelFetch`, given an
+ * entry's texel (e.g: `tapStateTexel(ivec2(gl_FragCoord.xy))`), and integer
+ * step and `texture` offsets; avoiding the precision issues of the normalised
+ * `uv` and `fract` arithmetic at large sizes, for each way states are stored.
+ *
+ * Any integer `texture`s (in `WebGL2`) are tapped apart from the others, by
+ * macros and into lists suffixed by their type (e.g: `tapStateUint` into
+ * `dataUint`, from `statesUint`); each list is as long as `data`, so `reads`
+ * index all alike, with zeros in place of samples of other types.
+ *
  * They're set up as function-like macros that may be called from the shader to
  * initialise the mappings arrays with a given name.
  * Caches the result if `macros` generation is enabled, to help reuse shaders.
@@ -913,8 +1234,21 @@ export function macroSamples(state, on) {
  *   per-step. See `mapGroups`.
  * @param {array.<array.<array.<number>>>} [state.maps.samples] The minimal set
  *   of texture samples to use. See `mapSamples`.
+ * @param {array.<array.<boundary>>} [state.maps.boundaries] How any neighbour
+ *   samples are handled beyond the bounds of the data. See `mapSamples`.
+ * @param {array.<'int'|'uint'>} [state.maps.integers] Any integer type of each
+ *   `texture`; tapped apart from the others. See `mapGroups`.
  * @param {object} [state.merge] Any merged state texture; uses separate state
  *   textures if not given. See `toData`.
+ * @param {'array'|'3d'|true} [state.merge.layers] Any layers states are merged
+ *   into, one per step; sampled as a `sampler3D` if `'3d'`, or otherwise a
+ *   `sampler2DArray`, needing `GLSL3`. See `toData`.
+ * @param {boolean} [state.merge.tiles] Whether states are merged into a grid
+ *   of tiles, not layers; sampled by the `uniform vec2 tiles` grid's shape.
+ *   See `toData`.
+ * @param {number} [state.merge.gutter] Any texels of gutter around each block
+ *   of merged states; lookups are padded inside it (by `gutterUV`, or texel
+ *   offsets), so `linear` filtering stays within each block. See `toData`.
  * @param {number} [state.glsl=1] The `GLSL` language version.
  *   See `getGLSLList`.
  * @param {object|false} [state.cache=cacheDef] Any object to cache any inputs'
@@ -922,7 +1256,8 @@ export function macroSamples(state, on) {
  *
  * @returns {string} The `GLSL` preprocessor macros defining the minimal
  *   sampling of textures, to suit how states are stored (array of textures, or
- *   all merged into one texture) and supported `GLSL` language features.
+ *   all merged into one texture, its layers, or its tiles) and supported `GLSL`
+ *   language features.
  */
 export function macroTaps(state, on) {
   const key = hooks.macroTaps;
@@ -936,12 +1271,18 @@ export function macroTaps(state, on) {
     } = state;
 
   const passSamples = maps.samples?.[p];
+  const passBoundaries = maps.boundaries?.[p];
+  const { integers } = maps;
   const split = !merge;
+  const layers = merge?.layers;
+  const tiled = !layers && !!merge?.tiles;
+  const gutter = !split && (merge?.gutter > 0);
 
   const c = cache &&
-    `macro@${key}@${n}|${p}|${id(passSamples)}|${split}|${glsl}`;
+    `macro@${key}@${n}|${p}|${id(passSamples)}|${id(passBoundaries)}|${
+      split}|${layers}|${tiled}|${gutter}|${glsl}|${id(integers)}`;
 
-  if((to = cache?.[c]) != null) { return to; }
+  if((to = cache?.[c]) != null) { return toCache(state, cache, c, to); }
 
   const glsl3 = (glsl >= 3);
   /** Which texture sampling function is available. */
@@ -963,41 +1304,302 @@ export function macroTaps(state, on) {
   /** A temporary `array` to pass to `getGLSLList`. */
   const tapsSamples = cache[key+':tapsSamples'] ??= [];
   const tapsL = tapsSamples.length = passSamples?.length ?? 0;
+  /** Texel size of the states, to offset any neighbour samples. */
+  const texel = `(1.0/${n}stateShape.xy)`;
+
+  /** Whether a sample is of a neighbour, offset from the entry. */
+  const isNeighbour = ([, , x, y]) => !!(x || y);
+
+  /** Any integer type of a sample's `texture`; `null` if not an integer. */
+  const intOf = ([, texture]) => integers?.[texture] ?? null;
+  /** The `GLSL` type sampled from `texture`s of any integer type. */
+  const vecOf = (int) => (int?.[0] ?? '')+'vec4';
+
+  /**
+   * Any integer types sampled this pass; each sampled into its own list (e.g:
+   * `dataUint`) by its own macros (e.g: `tapStateUint`).
+   */
+  const ints = reduce((to, sample) => {
+      const int = intOf(sample);
+
+      (int && !to.includes(int)) && to.push(int);
+
+      return to;
+    },
+    ((split && integers && passSamples) || []), []);
+
+  /**
+   * The index of a sample's `texture` in the `states` of its integer type; as
+   * given by the sample, unless there are any integer `texture`s.
+   */
+  const indexOf = (sample, i) =>
+    ((integers)? integerIndex(maps, sample[1]) : `int(${st+i}.t)`);
+
+  /** The name of the `textures` macro counting `texture`s of any type. */
+  const texturesOf = (int) =>
+    n+'textures'+((int || !integers)? integerSuffix(int) : 'Float');
+
+  /** Prefixes temporaries of any integer type, apart from any others'. */
+  const tOf = (int) => t+((int)? integerSuffix(int)+'_' : '');
+
+  /**
+   * The `uv` of any sample; the entry's own given `uv`, or any neighbour's
+   * bounded `uv` between any given `pre` and `post` to transform it.
+   */
+  const uvOf = (sample, i, uv, post = '', pre = '', tp = t) =>
+    ((isNeighbour(sample))? `(${pre}${tp}uv_${i}${post})` : uv);
+
+  /**
+   * Any constant boundary's value beyond the data, or the tap within it; by
+   * `uv` or by `texel` if given.
+   */
+  const bounded = (sample, i, tap, texel, tp = t) => {
+    if(!(isNeighbour(sample) && isFinite(passBoundaries?.[i]))) { return tap; }
+
+    const at = tp+((texel)? 'texel_' : 'uv_')+i;
+    const inside = ((texel)? `clamp(${at}, ivec2(0), ${tp}sh-1)`
+      : `clamp(${at}, 0.0, 1.0)`);
+
+    return `((all(equal(${at}, ${inside})))? ${tap} `+
+      `: ${vecOf(intOf(sample))}(${passBoundaries[i]}))`;
+  };
+
+  /**
+   * Any tap of a sample into the list of a given integer type; or an empty
+   * placeholder for samples of other types, so all lists index alike.
+   */
+  const tapOf = (int, sample, i, tap, texel) =>
+    ((intOf(sample) === int)? bounded(sample, i, tap, texel, tOf(int))
+    : vecOf(int)+'(0)');
+
+  /** Any neighbour samples' `uv`s, offset by texels and bounded. */
+  const neighbourUVs = (tp = t) => reduce((s, sample, i) => {
+      if(!isNeighbour(sample)) { return s; }
+
+      const b = passBoundaries?.[i];
+      const uv = `(vec2(uv)+(vec2(${st+i}.pq)*${texel}))`;
+
+      return s+`vec2 ${tp}uv_${i} = `+
+        ((b === 'wrap')? `fract(${uv})`
+        : ((isFinite(b))? uv
+        : `clamp(${uv}, ${texel}*0.5, 1.0-(${texel}*0.5))`))+
+        ';'+lf;
+    },
+    passSamples ?? [], '');
+
+  /** Any neighbour samples' texels, offset by whole texels and bounded. */
+  const neighbourTexels = (tp = t) => reduce((s, sample, i) => {
+      if(!isNeighbour(sample)) { return s; }
+
+      const b = passBoundaries?.[i];
+      const at = `(${tp}texel+ivec2(${st+i}.pq))`;
+
+      return s+`ivec2 ${tp}texel_${i} = `+
+        ((b === 'wrap')? `(${at}+${tp}sh)%${tp}sh`
+        : ((isFinite(b))? at : `clamp(${at}, ivec2(0), ${tp}sh-1)`))+
+        ';'+lf;
+    },
+    passSamples ?? [], '');
+
+  /** The texel of any sample; the entry's own, or any neighbour's. */
+  const texelOf = (sample, i, tp = t) =>
+    ((isNeighbour(sample))? tp+'texel_'+i : tp+'texel');
+
+  /** Wraps a whole `number` over a range; `GLSL` `%` is undefined if `< 0`. */
+  const wrapInt = (a, b) => `int(mod(float(${a}), float(${b})))`;
+
+  /**
+   * Merged dimensions; 2D `[texture, step]`, or 3D layers as `step`s, or 2D
+   * tiles of `[texture, step]` blocks.
+   */
+  const d = ((layers)? 3 : ((tiled)? 'Tiles' : 2));
+  /** Merged parameters; any `tiles` grid's shape if tiling. */
+  const ps = 'states, stepNow, steps, textures'+((tiled)? ', tiles' : '');
+  const pn = `${n}states, ${n}stepNow, ${n}steps, ${n}textures`+
+    ((tiled)? `, ${n}tiles` : '');
+
+  /** Pads any merged block's `uv` inside any gutter around it. */
+  const gu = ((gutter)? n+'gutterUV(' : '');
+  const gp = ((gutter)? ')' : '');
+  /** Any merged blocks' texel stride, and offset inside any gutter. */
+  const bl = t+((gutter)? 'bl' : 'sh');
+  const go = ((gutter)? `+ivec2(${n}gutter)` : '');
+
+  /**
+   * Split `texture`s' `texelFetch` taps, of any integer type; named by its
+   * suffix (e.g: `tapStatesUintTexel`), into its own list (e.g: `dataUint`).
+   */
+  const splitTexels = (int) => {
+    const x = integerSuffix(int);
+    const tp = tOf(int);
+    const states = n+'states'+x;
+    const ts = texturesOf(int);
+
+    return def+`s${x}TexelBy(texel, states, textures, ${by})`+lf+
+        `const int ${tp}tl = int(textures);`+lf+
+        `ivec2 ${tp}texel = ivec2(texel);`+lf+
+        `ivec2 ${tp}sh = ivec2(${n}stateShape.xy);`+lf+
+        neighbourTexels(tp)+
+        getGLSLList(vecOf(int), n+'data'+x,
+          map((sample, i) => tapOf(int, sample, i,
+              ((sample[0] === stepGot)?
+                `texelFetch(${n}got${x}[${indexOf(sample, i)}+int(${bt})], `+
+                  `${texelOf(sample, i, tp)}, 0)`
+              : 'texelFetch(states['+
+                  `((int(${st+i}.s)+int(${bs}))*${tp}tl)+`+
+                  `${indexOf(sample, i)}+int(${bt})`+
+                `], ${texelOf(sample, i, tp)}, 0)`),
+              true),
+            passSamples, tapsSamples),
+          '', glsl)+'\n'+
+      def+`s${x}Texel(texel, states, textures)`+lf+
+      f+`s${x}TexelBy(texel, states, textures, 0, 0)\n\n`+
+      `#define ${f+x}Texel(texel)`+lf+
+      f+`s${x}Texel(texel, ${states}, ${ts})\n`+
+      `#define ${f+x}TexelBy(texel, ${by})`+lf+
+      f+`s${x}TexelBy(texel, ${states}, ${ts}, ${by})\n`;
+  };
+
+  /** The integer-addressed `texelFetch` taps, for `GLSL3`. */
+  const texels = ((!(glsl3 && tapsL))? ''
+    : `/**\n`+
+      ` * States looked up by \`texelFetch\`, at the entry's \`texel\`.\n`+
+      ` * Integer offsets of step and \`texture\`; see \`${f}By\` above.\n`+
+      ` * Use \`${n}data\` list; ignore temporary \`${t}\` names.\n`+
+      ` */\n`+
+      ((split)? map(splitTexels, [null, ...ints], []).join('\n')
+      : def+`${d}TexelBy(texel, ${ps}, ${by})`+lf+
+          `ivec2 ${t}texel = ivec2(texel);`+lf+
+          `ivec2 ${t}sh = ivec2(${n}stateShape.xy);`+lf+
+          ((gutter)? `ivec2 ${bl} = ${t}sh+(2*${n}gutter);`+lf : '')+
+          neighbourTexels()+
+          getGLSLList('vec4', n+'data',
+            map((sample, i) => {
+                /** Offset `texture`, step; each wrapped. */
+                const x = wrapInt(`int(${st+i}.t)+int(${bt})`, 'textures');
+                const y = `int(${toLayer(true,
+                  `float(${st+i}.s)+float(${bs})`, 'stepNow', 'steps')})`;
+
+                /** Any tile of the offset `texture` and step. */
+                const tile = tiled &&
+                  toTile(`float(${st+i}.t)+float(${bt})`,
+                    `float(${st+i}.s)+float(${bs})`, 'stepNow', 'steps',
+                    'textures', 'vec2(tiles)');
+
+                return bounded(sample, i,
+                  `texelFetch(states, `+
+                    ((layers)?
+                      `ivec3(${texelOf(sample, i)}${go}+`+
+                        `ivec2(${bl}.x*${x}, 0), ${y})`
+                    : ((tiled)?
+                      `${texelOf(sample, i)}${go}+(${bl}*ivec2(${tile}))`
+                    : `${texelOf(sample, i)}${go}+(${bl}*ivec2(${x}, ${y}))`))+
+                    ', 0)',
+                  true);
+              },
+              passSamples, tapsSamples),
+            '', glsl)+'\n'+
+        def+`${d}Texel(texel, ${ps})`+lf+
+        f+`${d}TexelBy(texel, ${ps}, 0, 0)\n\n`+
+        `#define ${f}Texel(texel)`+lf+
+        f+`${d}Texel(texel, ${pn})\n`+
+        `#define ${f}TexelBy(texel, ${by})`+lf+
+        f+`${d}TexelBy(texel, ${pn}, ${by})\n`)+'\n');
+
+  /**
+   * Split un-merged `texture`s accessed by constant index; of any integer
+   * type, named by its suffix (e.g: `tapStatesUint`), into its own list (e.g:
+   * `dataUint`).
+   */
+  const splitTaps = (int) => {
+    const x = integerSuffix(int);
+    const tp = tOf(int);
+    const states = n+'states'+x;
+    const ts = texturesOf(int);
+
+    return ((int)?
+        `/**\n`+
+        ` * Integer \`${int}\` states in a \`${int[0]}sampler2D[]\`; as `+
+          `\`${f}sBy\` above.\n`+
+        ` * Use \`${n}data${x}\` list, indexed as \`${n}data\`.\n`+
+        ` */\n`
+      : `/**\n`+
+        ` * States in a \`sampler2D[]\`; looks up 1D index and 2D \`uv\`.\n`+
+        ` * Past steps go later in the list.\n`+
+        ` * States got this step (\`step\` of \`${stepGot}\`) are in `+
+          `\`${n}got\`.\n`+
+        ` * States may also be sampled by shifted step/texture.\n`+
+        ` * Pass constant array index values; \`textures, ${by}\`.\n`+
+        ` * Use \`${n}data\` list; ignore temporary \`${t}\` names.\n`+
+        ` */\n`)+
+      def+`s${x}By(uv, states, textures, ${by})`+lf+
+        // Compute before the loop for lighter work.
+        `const int ${tp}tl = int(textures);`+lf+
+        `vec2 ${tp}uv = vec2(uv);`+lf+
+        neighbourUVs(tp)+
+        // Sample into the output list.
+        getGLSLList(vecOf(int), n+'data'+x,
+          map((sample, i) => tapOf(int, sample, i,
+              ((sample[0] === stepGot)?
+                // States got this step; written by earlier passes.
+                texture+`(${n}got${x}[${indexOf(sample, i)}+int(${bt})], `+
+                  `${uvOf(sample, i, tp+'uv', '', '', tp)})`
+              : texture+'(states['+
+                  // Offset step.
+                  `((int(${st+i}.s)+int(${bs}))*${tp}tl)+`+
+                  // Offset `texture`.
+                  `${indexOf(sample, i)}+int(${bt})`+
+                `], ${uvOf(sample, i, tp+'uv', '', '', tp)})`)),
+            passSamples, tapsSamples),
+          '', glsl)+'\n'+
+      `/** Sample the states as given without shifting by any offsets. */\n`+
+      def+`s${x}(uv, states, textures)`+lf+
+      f+`s${x}By(uv, states, textures, 0, 0)\n\n`+
+      `/** Convenience: index states by known constant access. */\n`+
+      `#define ${f+x}(uv)`+lf+f+`s${x}(uv, ${states}, ${ts})\n\n`+
+      `/** Convenience: index states by known constant access and offset. */\n`+
+      `#define ${f+x}By(uv, ${by})`+lf+
+      f+`s${x}By(uv, ${states}, ${ts}, ${by})\n`;
+  };
 
   /** The main `texture`-sampling logic. */
   to = ((!tapsL)? ''
     : ((split)?
-      /** Split un-merged `texture`s accessed by constant index. */
+      map(splitTaps, [null, ...ints], []).join('\n')
+    : ((tiled)?
+      /** Merged 2D `texture`, in tiles. */
       `/**\n`+
-      ` * States in a \`sampler2D[]\`; looks up 1D index and 2D \`uv\`.\n`+
-      ` * Past steps go later in the list.\n`+
+      ` * States merged in a \`sampler2D\`, in a grid of \`tiles\`.\n`+
+      ` * Blocks of \`[texture, step]\` go along rows of tiles.\n`+
+      ` * Scales the 2D \`uv\` lookup into the tile of its block.\n`+
+      ` * Step from now into the past going along the tiles.\n`+
       ` * States may also be sampled by shifted step/texture.\n`+
-      ` * Pass constant array index values; \`textures, ${by}\`.\n`+
       ` * Use \`${n}data\` list; ignore temporary \`${t}\` names.\n`+
       ` */\n`+
-      def+`sBy(uv, states, textures, ${by})`+lf+
+      def+`TilesBy(uv, ${ps}, ${by})`+lf+
         // Compute before the loop for lighter work.
-        `const int ${t}tl = int(textures);`+lf+
-        `vec2 ${t}uv = vec2(uv);`+lf+
+        `vec2 ${t}l = vec2(tiles);`+lf+
+        `vec2 ${t}uv = ${gu}vec2(uv)${gp};`+lf+
+        neighbourUVs()+
         // Sample into the `data` output list.
         getGLSLList('vec4', n+'data',
-          map((_, i) =>
-              texture+'(states['+
-                  // Offset step.
-                  `((int(${st+i}.s)+int(${bs}))*${t}tl)+`+
-                  // Offset `texture`.
-                  `int(${st+i}.t)+int(${bt})`+
-                `], ${t}uv)`,
+          map((sample, i) => bounded(sample, i,
+              texture+`(states, (${uvOf(sample, i, t+'uv', gp, gu)}+`+
+                // Offset `texture`, step; each wrapped.
+                toTile(`float(${st+i}.t)+float(${bt})`,
+                  `float(${st+i}.s)+float(${bs})`, 'stepNow', 'steps',
+                  'textures', t+'l')+
+                `)/${t}l)`),
             passSamples, tapsSamples),
           '', glsl)+'\n'+
       `/** Sample the states as given without shifting by any offsets. */\n`+
-      def+`s(uv, states, textures)`+lf+
-      f+`sBy(uv, states, textures, 0, 0)\n\n`+
-      `/** Convenience: index states by known constant access. */\n`+
-      aka+`s(uv, ${n}states, ${n}textures)\n\n`+
-      `/** Convenience: index states by known constant access and offset. */\n`+
-      akaBy+`sBy(uv, ${n}states, ${n}textures, ${by})\n`
-    : /** Merged 2D `texture`. */
+      def+`Tiles(uv, ${ps})`+lf+
+      f+`TilesBy(uv, ${ps}, 0, 0)\n\n`+
+      `/** Preferred aliases: tiles suit many merged steps. */\n`+
+      aka+`Tiles(uv, ${pn})\n`+
+      akaBy+`TilesBy(uv, ${pn}, ${by})\n`
+    : ((!layers)?
+      /** Merged 2D `texture`. */
       `/**\n`+
       ` * States merged in a \`sampler2D\`.\n`+
       ` * Scales the 2D \`uv\` lookup over \`[textures, steps]\`.\n`+
@@ -1008,75 +1610,277 @@ export function macroTaps(state, on) {
       def+`2By(uv, states, stepNow, steps, textures, ${by})`+lf+
         // Compute before the loop for lighter work.
         `vec2 ${t}l = vec2(textures, steps);`+lf+
-        `vec2 ${t}uv = vec2(uv)/${t}l;`+lf+
+        `vec2 ${t}uv = ${gu}vec2(uv)${gp}/${t}l;`+lf+
         // Steps advance in reverse, top-to-bottom.
         `vec2 ${t}s = vec2(1, -1)/${t}l;`+lf+
         // Offset `texture`, step.
         // Each step stored in `texture` top downward at `-stepNow`.
         // Most recent step to look up is at `-stepNow+1`.
         `vec2 ${t}i = (vec2(${by}).ts+vec2(0, 1))-vec2(0, stepNow);`+lf+
+        neighbourUVs()+
         // Sample into the `data` output list.
         getGLSLList('vec4', n+'data',
           // Would repeat wrap; but `WebGL1` needs power-of-2.
-          map((_, i) =>
+          map((sample, i) => bounded(sample, i,
               texture+`(states, `+
                 // Offset `texture`, step.
-                `fract(${t}uv+fract((vec2(${st+i}).ts+${t}i)*${t}s)))`,
+                `fract(${uvOf(sample, i, t+'uv', gp+`/${t}l`, gu)}+`+
+                  `fract((vec2(${st+i}).ts+${t}i)*${t}s)))`),
             passSamples, tapsSamples),
           '', glsl)+'\n'+
       `/** Sample the states as given without shifting by any offsets. */\n`+
       def+`2(uv, states, stepNow, steps, textures)`+lf+
       f+`2By(uv, states, stepNow, steps, textures, 0, 0)\n\n`+
-      ((!glsl3)?
-        `/** Preferred aliases: 2D suits merged texture in \`GLSL\` < 1. */\n`+
-        aka+`2(uv, ${n}states, ${n}stepNow, ${n}steps, ${n}textures)\n`+
-        akaBy+
-          `2By(uv, ${n}states, ${n}stepNow, ${n}steps, ${n}textures, ${by})\n`
-      : /**
-         * Merged 3D `texture` types, supported from `GLSL3`.
-         * @todo Check and finish this.
-         */
-        `/**\n`+
-        ` * States merged to \`sampler3D\` or \`sampler2DArray\`.\n`+
-        ` * 2D \`uv\` to 3D.\n`+
-        ` * Scales \`x\` over \`textures\`, \`z\` over \`steps\` as:\n`+
-        ` * - \`sampler3D\`: the number of steps; depth, \`[0, 1]\`.\n`+
-        ` * - \`sampler2DArray\`: \`1\` or less; layer, \`[0, steps-1]\`.\n`+
-        ` * States may also be sampled by shifted step/texture.\n`+
-        ` * Use \`${n}data\` list; ignore temporary \`${t}\` names.\n`+
-        ` */\n`+
-        def+`3By(uv, states, stepNow, steps, textures, ${by})`+lf+
-          /** @see `...2By()` above. */
-          // Compute before the loop for lighter work.
-          `vec2 ${t}l = vec2(textures, steps);`+lf+
-          `vec2 ${t}uv = (vec2(uv)+vec2(textureBy, 0))/${t}l;`+lf+
-          // Offset `texture`.
-          `float ${t}sx = 1.0/${t}l.x;`+lf+
-          // Offset step.
-          `float ${t}s = float(stepBy)-float(stepNow);`+lf+
-          `float ${t}sz = -1.0/${t}l;`+lf+
-          // Sample into the `data` output list.
-          getGLSLList('vec4', n+'data',
-            // Would repeat wrap; but `sampler2DArray` layer can't.
-            map((_, i) =>
-                texture+'(states, fract(vec3('+
-                  // Offset `texture`.
-                  `${t}uv.x+(float(${st+i}.t)*${t}sx), ${t}uv.y, `+
-                  // Offset step: `sampler3D` depth, `[0, 1]`;
-                  // `sampler2DArray` layer, `[0, steps-1]`.
-                  `(float(${st+i}.s)+${t}s)*${t}sz)))`,
-              passSamples, tapsSamples),
-            '', glsl)+'\n'+
-        `/** Sample the states as given without shifting by any offsets. */\n`+
-        def+`3(uv, states, stepNow, steps, textures)`+lf+
-        f+`3(uv, states, stepNow, steps, textures)\n\n`+
-        `/** Preferred aliases: 3D suits merged texture in \`GLSL\` 3+. */\n`+
-        aka+`3(uv, ${n}states, ${n}stepNow, ${n}steps, ${n}textures)\n`+
-        akaBy+
-          `3By(uv, ${n}states, ${n}stepNow, ${n}steps, ${n}textures, ${by})\n`
-      ))+'\n');
-
-  return ((cache)? cache[c] = to : to);
+      `/** Preferred aliases: 2D suits merged texture. */\n`+
+      aka+`2(uv, ${n}states, ${n}stepNow, ${n}steps, ${n}textures)\n`+
+      akaBy+
+        `2By(uv, ${n}states, ${n}stepNow, ${n}steps, ${n}textures, ${by})\n`
+    : /** Merged into layers of a 3D `texture` type, supported from `GLSL3`. */
+      `/**\n`+
+      ` * States merged to \`${(layers === '3d')? 'sampler3D' : 'sampler2DArray'
+        }\`, one layer per step.\n`+
+      ` * Scales the 2D \`uv\` lookup over \`textures\` along \`x\`.\n`+
+      ` * Step from now into the past going back through the layers, as:\n`+
+      ` * - \`sampler3D\`: the number of steps; depth, \`[0, 1]\`.\n`+
+      ` * - \`sampler2DArray\`: layer, \`[0, steps-1]\`.\n`+
+      ` * States may also be sampled by shifted step/texture.\n`+
+      ` * Use \`${n}data\` list; ignore temporary \`${t}\` names.\n`+
+      ` */\n`+
+      def+`3By(uv, states, stepNow, steps, textures, ${by})`+lf+
+        // Compute before the loop for lighter work.
+        `vec2 ${t}l = vec2(textures, 1);`+lf+
+        `vec2 ${t}uv = ${gu}vec2(uv)${gp}/${t}l;`+lf+
+        neighbourUVs()+
+        // Sample into the `data` output list.
+        getGLSLList('vec4', n+'data',
+          map((sample, i) => {
+              const u = uvOf(sample, i, t+'uv', gp+`/${t}l`, gu);
+
+              return bounded(sample, i, texture+'(states, vec3('+
+                // Offset `texture`; would repeat wrap.
+                `fract(${u}.x+((float(${st+i}.t)+float(${bt}))/${t}l.x)), `+
+                  `${u}.y, `+
+                // Offset step: `sampler3D` depth, `[0, 1]`;
+                // `sampler2DArray` layer, `[0, steps-1]`.
+                toLayer(layers, `float(${st+i}.s)+float(${bs})`,
+                  'stepNow', 'steps')+
+                '))');
+            },
+            passSamples, tapsSamples),
+          '', glsl)+'\n'+
+      `/** Sample the states as given without shifting by any offsets. */\n`+
+      def+`3(uv, states, stepNow, steps, textures)`+lf+
+      f+`3By(uv, states, stepNow, steps, textures, 0, 0)\n\n`+
+      `/** Preferred aliases: 3D suits merged layers in \`GLSL\` 3+. */\n`+
+      aka+`3(uv, ${n}states, ${n}stepNow, ${n}steps, ${n}textures)\n`+
+      akaBy+
+        `3By(uv, ${n}states, ${n}stepNow, ${n}steps, ${n}textures, ${by})\n`
+      )))+'\n')+
+    texels;
+
+  return toCache(state, cache, c, to);
+}
+
+/**
+ * Defines lookups of any entry's values at any step, as `GLSL` preprocessor
+ * macros; for arbitrary lookups by index, rather than the constant samples of
+ * `macroTaps`.
+ *
+ * Looks up the `uv` of an entry's `index` in the states by the `stateShape`
+ * `uniform`, and the `step` (steps into the past, as in `macroTaps`) and
+ * `texture` in either the `states` list of split `texture`s, or the merged
+ * `texture`, its layers, or its tiles (offset by `stepNow` to account for its
+ * wrapping, as in `macroTaps`); gives the channels of the named value.
+ *
+ * Split `texture`s are accessed by constant index, so need a constant `step`;
+ * a merged `texture` may be given any `step`, and any `index` either way.
+ * Any values split into parts give a list of all their parts' channels; e.g: to
+ * construct `mat3`, `mat4`.
+ *
+ * Any value is looked up by `tapEntry(index, step, value)`, by its index (or
+ * by `tapEntryValue_name` for its name in any `aka`), as a `vec4` of its
+ * channels padded with `0`; `value` must be constant, and values split into
+ * parts give `vec4(0)`. Each value is also looked up by
+ * `tapEntry_value(index, step)`, by its index or name, giving just its
+ * channels (or those of all its parts); defined by name directly, as token
+ * pasting (`##`) isn't in `GLSL1`, nor reliably supported by drivers in
+ * `GLSL3`.
+ *
+ * Not included in `macroPass` unless `state.tapEntries` is given, as most
+ * shaders don't look up arbitrary entries.
+ *
+ * @see {@link macroTaps}
+ * @see {@link macroValues}
+ * @see {@link hasMacros}
+ * @see {@link cacheDef}
+ *
+ * @example ```javascript
+ * const maps = mapGroups({ values: [2, 1], channelsMax: 4, aka: ['a', 'b'] });
+ * const state = { pre: '', maps, steps: 2 };
+ *
+ * macroEntries(state); // =>
+ * '#define entryUV(index) ((vec2(mod(float(index), stateShape.x), '+
+ *   'floor(float(index)/stateShape.x))+0.5)/stateShape.xy)\n'+
+ * '#define tapEntryTexture(index, step, t) '+
+ *   'texture2D(states[(int(step)*int(textures))+int(t)], entryUV(index))\n'+
+ * '\n'+
+ * '#define tapEntry_0(index, step) '+
+ *   'tapEntryTexture(index, step, texture_0).channels_0\n'+
+ * '#define tapEntry_a tapEntry_0\n'+
+ * '#define tapEntryValue_a 0\n'+
+ * '\n'+
+ * '#define tapEntry_1(index, step) '+
+ *   'tapEntryTexture(index, step, texture_1).channels_1\n'+
+ * '#define tapEntry_b tapEntry_1\n'+
+ * '#define tapEntryValue_b 1\n'+
+ * '\n'+
+ * '#define tapEntry(index, step, value) '+
+ *   '((int(value) == 1)? vec4(tapEntry_1(index, step), 0, 0, 0) : '+
+ *   '((int(value) == 0)? vec4(tapEntry_0(index, step), 0, 0) : vec4(0)))\n'+
+ * '\n';
+ *
+ * // Then in `GLSL`, e.g: the value `a` of entry `3`, `1` step into the past.
+ * // `vec2 a = tapEntry_a(3, 1);`
+ * // `vec2 a = tapEntry(3, 1, tapEntryValue_a).xy;`
+ * ```
+ *
+ * @param {object} state Properties used to generate the macros. See `toData`.
+ * @param {string} [on] Any further macro `hooks` specifier; if given, both
+ *   the hook key and this specifier are checked (e.g: `key` and `key_on`).
+ * @param {string|function|object|false} [state.macros] How macros are handled.
+ *   See `hasMacros`.
+ * @param {string} [state.pre=preDef] Macros prefix; `preDef` if not given.
+ * @param {object} state.maps How values are grouped per-texture per-pass
+ *   per-step. See `mapGroups`.
+ * @param {array.<number>} state.maps.values How values of each data item are
+ *   grouped into `texture`s. See `mapGroups`.
+ * @param {array.<array.<number>>} [state.maps.parts] Any parts of values
+ *   split across `texture`s. See `mapGroups`.
+ * @param {array.<array.<number>>} [state.maps.valueToTextures] The `texture`
+ *   of each part of any split values. See `mapGroups`.
+ * @param {array.<string>} [state.maps.aka] Any names of values, by index.
+ * @param {array.<'int'|'uint'>} [state.maps.integers] Any integer type of each
+ *   `texture`; values of integer `texture`s are looked up in the `states` of
+ *   their type (e.g: by `tapEntryTextureUint`). See `mapGroups`.
+ * @param {object} [state.merge] Any merged state texture; uses separate state
+ *   textures if not given. See `toData`.
+ * @param {'array'|'3d'|true} [state.merge.layers] Any layers states are merged
+ *   into, one per step. See `toData`.
+ * @param {boolean} [state.merge.tiles] Whether states are merged into a grid
+ *   of tiles, looked up by the `uniform vec2 tiles`. See `toData`.
+ * @param {number} [state.merge.gutter] Any texels of gutter around each block
+ *   of merged states; looked up inside it by `gutterUV`. See `toData`.
+ * @param {number} [state.glsl=1] The `GLSL` language version.
+ * @param {object|false} [state.cache=cacheDef] Any object to cache any inputs'
+ *   results in, `false`y to skip caching; uses `cacheDef` if not given.
+ *
+ * @returns {string} The `GLSL` preprocessor macros defining lookups of any
+ *   entry's values at any step.
+ */
+export function macroEntries(state, on) {
+  const key = hooks.macroEntries;
+  let to = hasMacros(state, key, on);
+
+  if(to != null) { return to; }
+
+  const {
+      maps, merge, glsl, pre: n = preDef, cache = cacheDef
+    } = state;
+
+  const {
+      values, aka, parts, valueToTexture, valueToTextures, integers
+    } = maps;
+
+  const split = !merge;
+  const layers = merge?.layers;
+  const tiled = !layers && !!merge?.tiles;
+  const gutter = !split && (merge?.gutter > 0);
+
+  const c = cache &&
+    `macro@${key}@${n}|${id(values)}|${id(aka)}|${id(parts)}|${
+      id(valueToTexture)}|${id(valueToTextures)}|${split}|${layers}|${
+      tiled}|${gutter}|${glsl}|${id(integers)}`;
+
+  if((to = cache?.[c]) != null) { return toCache(state, cache, c, to); }
+
+  const glsl3 = (glsl >= 3);
+  /** Which texture sampling function is available. */
+  const texture = 'texture'+((glsl3)? '' : '2D');
+  const f = n+'tapEntry';
+  const shape = n+'stateShape';
+  /** An entry's `uv` in any merged block; padded inside any gutter. */
+  const uv = ((gutter)? `${n}gutterUV(${n}entryUV(index))`
+    : n+'entryUV(index)');
+  /**
+   * The lookup of a part of a value, by its `texture` and channels; any
+   * integer `texture` by its index among those of its type.
+   */
+  const tap = (vk, t) =>
+    ((!integers)?
+      `${f}Texture(index, step, ${n}texture_${vk}).${n}channels_${vk}`
+    : `${f}Texture${integerSuffix(integers[t])}(index, step, ${
+        integerIndex(maps, t)}).${n}channels_${vk}`);
+
+  /** Split `texture`s of any integer type, in the `states` of that type. */
+  const splitTexture = (int) => {
+    const x = integerSuffix(int);
+
+    return `#define ${f}Texture${x}(index, step, t) `+
+      `${texture}(${n}states${x}[(int(step)*int(${n}textures${
+          (int || !integers)? x : 'Float'}))+int(t)], `+
+        `${n}entryUV(index))\n`;
+  };
+
+  to =
+    `#define ${n}entryUV(index) ((vec2(mod(float(index), ${shape}.x), `+
+      `floor(float(index)/${shape}.x))+0.5)/${shape}.xy)\n`+
+    ((split)?
+      // Split `texture`s accessed by constant index; past steps later.
+      reduce((s, int) =>
+          s+((!int || integerTextures(maps, int))? splitTexture(int) : ''),
+        ((integers)? [null, 'int', 'uint'] : [null]), '')
+    : `#define ${f}Texture(index, step, t) `+
+      ((tiled)?
+        // Merged tiles; each step back from the `stepNow` row, as in taps.
+        `${texture}(${n}states, (${uv}+`+
+          toTile('float(t)', 'float(step)', n+'stepNow', n+'steps',
+            n+'textures', n+'tiles')+
+          `)/${n}tiles)\n`
+      : ((!layers)?
+        // Merged `texture`; each step top downward at `-stepNow`, as in taps.
+        `${texture}(${n}states, fract((${uv}/`+
+          `vec2(${n}textures, ${n}steps))+fract((vec2(t, step)+`+
+          `vec2(0, 1.0-float(${n}stepNow)))*`+
+          `(vec2(1, -1)/vec2(${n}textures, ${n}steps)))))\n`
+      : // Merged layers; each step back from the `stepNow` layer, as in taps.
+        `${texture}(${n}states, vec3((${uv}+vec2(t, 0))/`+
+          `vec2(${n}textures, 1), `+
+          toLayer(layers, 'float(step)', n+'stepNow', n+'steps')+'))\n')))+
+    reduce((s, _, v) => {
+        /** Any parts of a split value, each in their own `texture`. */
+        const ps = parts?.[v];
+
+        const to = s+'\n'+
+          `#define ${f}_${v}(index, step) ${
+            ((!ps)? tap(v, valueToTexture[v])
+            : reduce((j, _, k) =>
+                (j && j+', ')+tap(v+'_'+k, valueToTextures[v][k]),
+              ps, ''))}\n`;
+
+        return ((aka)?
+            to+`#define ${f}_${aka[v]} ${f}_${v}\n`+
+              `#define ${f}Value_${aka[v]} ${v}\n`
+          : to);
+      },
+      values, '')+'\n'+
+    // Any value not split into parts by its index, padded into a `vec4`.
+    `#define ${f}(index, step, value) ${
+      reduce((s, c, v) => ((parts?.[v])? s
+          : `((int(value) == ${v})? vec4(${f}_${v}(index, step)${
+              ', 0'.repeat(4-c)}) : ${s})`),
+        values, 'vec4(0)')}\n\n`;
+
+  return toCache(state, cache, c, to);
 }
 
 /**
@@ -1086,12 +1890,15 @@ export function macroTaps(state, on) {
  * The macros define the mapping between the active values, their `texture`s and
  * channels, bound outputs, and other macros useful for a draw pass.
  * Caches the result if `macros` generation is enabled, to help reuse shaders.
+ * Goes after any `#version` directive of the shader; see `toMacroShader`.
  *
  * @see {@link hasMacros}
+ * @see {@link step.toMacroShader}
  * @see {@link macroValues}
  * @see {@link macroOutput}
  * @see {@link macroTaps}
  * @see {@link macroSamples}
+ * @see {@link macroEntries}
  * @see {@link maps.mapStep}
  * @see {@link data.toData}
  *
@@ -1195,14 +2002,19 @@ export function macroTaps(state, on) {
  *   and `mapGroups`.
  * @param {string} [on] Any further macro `hooks` specifier; if given, both
  *   the hook key and this specifier are checked (e.g: `key` and `key_on`).
+ * @param {boolean} [state.tapEntries] Whether to also define lookups of any
+ *   entry's values; not by default, as most shaders don't need them.
+ *   See `macroEntries`.
  *
  * @returns {string} The `GLSL` preprocessor macros defining the mappings for
  *   values, `texture`s, channels, bound outputs of the active pass, etc. See
- *   `macroValues`, `macroOutput`, and `macroSamples`.
+ *   `macroValues`, `macroOutput`, `macroSamples`, `macroTaps`, and any
+ *   `macroEntries`.
  */
 export const macroPass = (state, on) =>
   hasMacros(state, hooks.macroPass, on) ??
     macroValues(state, on)+macroOutput(state, on)+
-    macroSamples(state, on)+macroTaps(state, on);
+    macroSamples(state, on)+macroTaps(state, on)+
+    ((state.tapEntries)? macroEntries(state, on) : '');
 
 export default macroPass;
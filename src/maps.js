@@ -22,26 +22,173 @@
 import map from '@epok.tech/fn-lists/map';
 import reduce from '@epok.tech/fn-lists/reduce';
 import each from '@epok.tech/fn-lists/each';
+import range from '@epok.tech/fn-lists/range';
 
-import { valuesDef, channelsMaxDef, buffersMaxDef } from './const';
+import {
+    valuesDef, channelsMaxDef, buffersMaxDef, stepGot, channelBytesDef,
+    costWeightsDef, searchMaxDef, triesMaxDef, boundaryDef
+  } from './const';
 
-const { isInteger } = Number;
+const { min } = Math;
+const { isFinite, isInteger } = Number;
 const { isArray } = Array;
 
 /**
- * Determines whether a given value is valid and can be stored within the
- * channels available.
+ * Determines whether a given value is valid and can be stored across the
+ * channels available; values wider than `channelsMax` are split into parts.
+ *
+ * @see {@link splitValue}
  *
  * @param {number} value A value to validate.
- * @param {number} [channelsMax] The maximum channels available to store values.
+ * @param {number} [channelsMax] The maximum channels available to store values;
+ *   no longer limits valid values, which are split into parts to fit, but
+ *   kept so callers may still pass it as before.
  *
  * @returns {boolean} Whether the given `value` is valid.
  */
 export const validValue = (value, channelsMax = channelsMaxDef) =>
-  ((1 <= value) || (value <= channelsMax) ||
-    !!console.error(`\`gl-gpgpu\`: the given value (${value}) exceeds the `+
-      `range of channels available, \`[1, ${channelsMax}]\` inclusive.`,
-      value, channelsMax));
+  ((isInteger(value) && (1 <= value)) ||
+    !!console.error(`\`gl-gpgpu\`: the given value (${value}) isn't a whole `+
+      `number of channels, at least \`1\`.`, value));
+
+/**
+ * Splits a value into parts that each fit within `channelsMax`; values that
+ * already fit give a single part.
+ *
+ * @example ```
+ *   splitValue(3, 4); // =>
+ *   [3];
+ *
+ *   splitValue(9, 4); // =>
+ *   [4, 4, 1];
+ *
+ *   splitValue(16, 4); // =>
+ *   [4, 4, 4, 4];
+ * ```
+ *
+ * @param {number} value How many channels the value needs.
+ * @param {number} [channelsMax=channelsMaxDef] The maximum number of channels
+ *   per texture.
+ * @param {array} [to=[]] An `array` to store the result; a new `array` if not
+ *   given.
+ *
+ * @returns {array.<number>} `to` The number of channels of each part, in
+ *   order; all parts but the last fill `channelsMax`.
+ */
+export function splitValue(value, channelsMax = channelsMaxDef, to = []) {
+  to.length = 0;
+
+  for(let v = value; v > 0; v -= channelsMax) { to.push(min(v, channelsMax)); }
+
+  return to;
+}
+
+/**
+ * The number of channels of a value's last part, the only part that may share
+ * a texture with other values; the whole value if it isn't split.
+ *
+ * @see {@link splitValue}
+ *
+ * @param {number} value How many channels the value needs.
+ * @param {number} [channelsMax=channelsMaxDef] The maximum number of channels
+ *   per texture.
+ *
+ * @returns {number} The number of channels in the value's last part.
+ */
+export const packValue = (value, channelsMax = channelsMaxDef) =>
+  ((value > channelsMax)? ((value-1)%channelsMax)+1 : value);
+
+/**
+ * The number of channels a value takes in a given texture; for any value split
+ * into parts, the channels of the part in that texture.
+ *
+ * @see {@link mapGroups}
+ * @see {@link splitValue}
+ *
+ * @param {object} maps How values are grouped per-texture. See `mapGroups`.
+ * @param {array.<number>} maps.values How many channels each value needs.
+ * @param {array.<array.<number>>} [maps.parts] Any parts of split values.
+ * @param {array.<array.<number>>} [maps.valueToTextures] Any textures of each
+ *   part of split values.
+ * @param {number} value The index of the value in `maps.values`.
+ * @param {number} texture The index of the texture in `maps.textures`.
+ *
+ * @returns {number} The number of channels the value takes in the texture.
+ */
+export const valueChannels = ({ values, parts, valueToTextures }, value,
+    texture) =>
+  parts?.[value]?.[valueToTextures[value].indexOf(texture)] ?? values[value];
+
+/**
+ * The index of a split value's part in a given texture; `-1` for any value not
+ * split into parts.
+ *
+ * @see {@link mapGroups}
+ * @see {@link splitValue}
+ *
+ * @param {object} maps How values are grouped per-texture. See `mapGroups`.
+ * @param {array.<array.<number>>} [maps.valueToTextures] Any textures of each
+ *   part of split values.
+ * @param {number} value The index of the value in `maps.values`.
+ * @param {number} texture The index of the texture in `maps.textures`.
+ *
+ * @returns {number} The index of the part in the texture, or `-1` if the value
+ *   isn't split.
+ */
+export const valuePart = ({ valueToTextures }, value, texture) =>
+  valueToTextures?.[value]?.indexOf(texture) ?? -1;
+
+/**
+ * The number of `texture`s holding values of a given integer type; or holding
+ * non-integer values, if not given a type. `GLSL` declares separate `sampler`
+ * arrays of each type.
+ *
+ * @see {@link mapGroups}
+ * @see {@link getInteger}
+ *
+ * @param {object} maps How values are grouped per-texture. See `mapGroups`.
+ * @param {array.<array.<number>>} maps.textures Values grouped into textures.
+ * @param {array.<'int'|'uint'>} [maps.integers] Any integer type of each
+ *   texture.
+ * @param {'int'|'uint'} [integer] Any integer type to count `texture`s of.
+ *
+ * @returns {number} How many `texture`s hold values of the given type.
+ */
+export const integerTextures = ({ textures, integers }, integer) =>
+  reduce((n, _, t) => n+((integers?.[t] ?? null) === (integer ?? null)),
+    textures, 0);
+
+/**
+ * The suffix naming `GLSL` `uniform`s and macros of a given integer type (e.g:
+ * `statesUint`, `splitsInt`); none for non-integer values.
+ *
+ * @see {@link getInteger}
+ *
+ * @param {'int'|'uint'} [integer] Any integer type.
+ *
+ * @returns {''|'Int'|'Uint'} The suffix for the integer type.
+ */
+export const integerSuffix = (integer) =>
+  ((integer === 'int')? 'Int' : ((integer === 'uint')? 'Uint' : ''));
+
+/**
+ * The index of a `texture` among the `texture`s holding values of its own
+ * integer type (or among those holding non-integer values); as it's indexed in
+ * the `sampler` arrays `GLSL` declares for each type.
+ *
+ * @see {@link integerTextures}
+ *
+ * @param {object} maps How values are grouped per-texture. See `mapGroups`.
+ * @param {array.<'int'|'uint'>} [maps.integers] Any integer type of each
+ *   texture.
+ * @param {number} texture The index of the texture in `maps.textures`.
+ *
+ * @returns {number} The index of the `texture` among those of its type.
+ */
+export const integerIndex = ({ integers }, texture) =>
+  reduce((n, _, t) =>
+      n+((integers?.[t] ?? null) === (integers?.[texture] ?? null)),
+    range(texture), 0);
 
 /**
  * Whether to use buffers to output state `values` in passes per-step, or no
@@ -60,7 +207,11 @@ export const useBuffers = (buffersMax) =>
  * Minimise resource usage, order `values` to pack into blocks of `channelsMax`;
  * interpreted as indexes into the given `values`.
  *
+ * Values wider than `channelsMax` are split into parts, all but the last of
+ * which fill their own textures; so only the last part is packed here.
+ *
  * @see {@link mapGroups}
+ * @see {@link splitValue}
  *
  * @example ```
  *   packValues([1, 2, 3], 4, []); // =>
@@ -74,6 +225,10 @@ export const useBuffers = (buffersMax) =>
  *
  *   packValues([1, 1, 4, 2], 4, []); // =>
  *   [2, 3, 0, 1];
+ *
+ *   // Values wider than `channelsMax` are packed by their last part.
+ *   packValues([2, 9, 3], 4, []); // =>
+ *   [2, 1, 0];
  * ```
  *
  * @param {array.<number>} values Each entry is how many interdependent channels
@@ -102,9 +257,12 @@ export function packValues(values, channelsMax = channelsMaxDef, to = []) {
 
   for(let i = 0; packed < values.length;) {
     const v = packed+i;
-    const value = values[to[v]];
+    const valid = values[to[v]];
 
-    if(!validValue(value, channelsMax)) { return to; }
+    if(!validValue(valid, channelsMax)) { return to; }
+
+    /** Only a split value's last part may share channels with other values. */
+    const value = packValue(valid, channelsMax);
 
     // Check how value fits the channels - valid is >= 0, perfect is 0.
     const fit = channels-value;
@@ -124,7 +282,8 @@ export function packValues(values, channelsMax = channelsMaxDef, to = []) {
       to[packed] = pack;
 
       // Reduce the free channels by the best value, reset if needed.
-      ((channels -= values[pack]) > 0) || (channels = channelsMax);
+      ((channels -= packValue(values[pack], channelsMax)) > 0) ||
+        (channels = channelsMax);
       // Start the search again over the remaining unpacked entries.
       fitIndex = ++packed;
       fitSize = Infinity;
@@ -135,6 +294,825 @@ export function packValues(values, channelsMax = channelsMaxDef, to = []) {
   return to;
 }
 
+/**
+ * Packs `values` as `packValues` does, but only with other values of the same
+ * group; so values of different groups never share a texture. Groups follow
+ * the order each first appears in.
+ *
+ * @see {@link packValues}
+ * @see {@link mapGroups}
+ *
+ * @example ```
+ *   packGroups([1, 2, 3, 1], ['uint', null, null, 'uint'], 4, []); // =>
+ *   [0, 3, 2, 1];
+ * ```
+ *
+ * @param {array.<number>} values How many channels each value needs.
+ *   See `packValues`.
+ * @param {array} groups The group of each value; e.g: its integer type.
+ * @param {number} [channelsMax=channelsMaxDef] The maximum number of channels
+ *   per texture.
+ * @param {array} [to=[]] An `array` to store the result; a new `array` if not
+ *   given.
+ *
+ * @returns {array.<number>} `to` The indexes of the given `values`, packed
+ *   within each group in turn.
+ */
+export function packGroups(values, groups, channelsMax = channelsMaxDef,
+    to = []) {
+  to.length = 0;
+
+  each((group) => {
+      const at = reduce((at, _, v) => ((groups[v] === group)? [...at, v] : at),
+        values, []);
+
+      each((i) => to.push(at[i]),
+        packValues(map((v) => values[v], at, []), channelsMax));
+    },
+    [...new Set(map((_, v) => groups[v], values, []))]);
+
+  return to;
+}
+
+/**
+ * The costs of how values are grouped and sampled per-step; to compare
+ * different groupings of the same values.
+ *
+ * @see {@link mapGroups}
+ * @see {@link mapSamples}
+ * @see {@link groupValues}
+ *
+ * @example ```
+ *   const maps = {
+ *     values: [1, 1, 1, 1], channelsMax: 2, buffersMax: 1,
+ *     derives: [0, 2, 0, 2]
+ *   };
+ *
+ *   // Greedy `packed` order, values that share derives across passes.
+ *   mapCost(mapStep({ ...maps })); // =>
+ *   {
+ *     passes: 2, textures: 2, samples: [2, 2], sampled: 4, across: 2,
+ *     bytes: 48, valid: true
+ *   };
+ *
+ *   // Values grouped by what they derive, sharing samples within passes.
+ *   mapCost(mapStep({ ...maps, group: true })); // =>
+ *   {
+ *     passes: 2, textures: 2, samples: [1, 1], sampled: 2, across: 1,
+ *     bytes: 32, valid: true
+ *   };
+ * ```
+ *
+ * @param {object} maps How values are grouped and sampled. See `mapStep`.
+ * @param {array.<array.<number>>} maps.passes Textures grouped into passes.
+ * @param {array.<array.<number>>} maps.textures Values grouped into textures.
+ * @param {array.<number>} maps.textureToPass Map from each texture index to the
+ *   index of the pass containing it.
+ * @param {array.<array.<array.<number>>>} [maps.samples] The samples of each
+ *   pass, if any. See `mapSamples`.
+ * @param {number} [maps.channelsMax=channelsMaxDef] Channels per-`texture`.
+ * @param {number} [maps.channelBytes=channelBytesDef] Bytes per-channel.
+ * @param {object} [to=\{\}] An `object` to contain the results; a new `object`
+ *   if not given.
+ *
+ * @returns {object} `to` The given `to` `object`, with the costs:
+ * @returns {number} `to.passes` How many passes are drawn per-step.
+ * @returns {number} `to.textures` How many data-`texture`s are drawn per-step.
+ * @returns {array.<number>} `to.samples` How many samples each pass takes.
+ * @returns {number} `to.sampled` How many samples are taken per-step, across
+ *   all passes.
+ * @returns {number} `to.across` How many samples per-step are of `texture`s
+ *   drawn by other passes; dependencies across passes.
+ * @returns {number} `to.bytes` How many bytes each entry reads and writes
+ *   per-step, across all samples and `texture`s.
+ * @returns {boolean} `to.valid` Whether the maps are valid; not if they're
+ *   `invalid`, or if any pass gets values from itself in the same step (which
+ *   it can't have written yet). Invalid maps are rejected, whatever they cost.
+ *   See `mapSamples` and `orderPasses`.
+ */
+export function mapCost(maps, to = {}) {
+  const {
+      passes, textures, samples, textureToPass, invalid,
+      channelsMax = channelsMaxDef, channelBytes = channelBytesDef
+    } = maps;
+
+  to.passes = passes.length;
+  to.textures = textures.length;
+  to.samples = map((_, p) => samples?.[p]?.length ?? 0, passes, []);
+  to.sampled = reduce((n, s) => n+s, to.samples, 0);
+
+  to.across = reduce((n, pass, p) =>
+      reduce((n, [, t]) => n+(textureToPass[t] !== p), pass ?? [], n),
+    samples ?? [], 0);
+
+  to.bytes = (to.sampled+to.textures)*channelsMax*channelBytes;
+
+  to.valid = !invalid && !samples?.some((pass, p) =>
+    pass?.some(([step, t]) => (step === stepGot) && (textureToPass[t] === p)));
+
+  return to;
+}
+
+/**
+ * Scores the cost of how values are grouped, as a weighted sum of its costs;
+ * lower scores cost less. May be replaced by any other scoring `function`, as
+ * `maps.score`.
+ *
+ * @see {@link mapCost}
+ * @see {@link const.costWeightsDef}
+ *
+ * @example ```
+ *   scoreCost({ passes: 2, textures: 2, sampled: 4, across: 2, bytes: 48 });
+ *   // => 23
+ *
+ *   scoreCost({ passes: 2, textures: 2, sampled: 2, across: 1, bytes: 32 });
+ *   // => 17
+ * ```
+ *
+ * @param {object} cost A cost to score. See `mapCost`.
+ * @param {object} [weights=costWeightsDef()] How much each cost weighs; by the
+ *   same keys as `cost`.
+ *
+ * @returns {number} The score of the given `cost`.
+ */
+export const scoreCost = (cost, weights = costWeightsDef()) =>
+  (cost.passes*weights.passes)+(cost.sampled*weights.sampled)+
+    (cost.textures*weights.textures)+(cost.across*weights.across)+
+    (cost.bytes*weights.bytes);
+
+/**
+ * Compares costs of how values are grouped, for sorting the cheapest first;
+ * by their scores.
+ *
+ * @see {@link mapCost}
+ * @see {@link scoreCost}
+ *
+ * @param {object} a A cost to compare. See `mapCost`.
+ * @param {object} b Another cost to compare. See `mapCost`.
+ * @param {function} [score=scoreCost] Scores each cost; lower costs less.
+ *
+ * @returns {number} Negative if `a` costs less than `b`, positive if more, or
+ *   `0` if they cost the same.
+ */
+export const compareCost = (a, b, score = scoreCost) => score(a)-score(b);
+
+/**
+ * Keeps the cheaper of the `best` and `next` grouping; the `best` if they cost
+ * the same. Skips any `next` of invalid maps, whatever it costs; so maps may be
+ * tried freely while searching.
+ *
+ * @see {@link mapCost}
+ * @see {@link compareCost}
+ *
+ * @param {{cost:object}} best The cheapest grouping so far. See `mapCost`.
+ * @param {{cost:object}} next The next grouping to compare.
+ * @param {function} [score=scoreCost] Scores each cost; lower costs less.
+ *
+ * @returns {{cost:object}} The cheaper of the valid `best` or `next`.
+ */
+const cheaper = (best, next, score) =>
+  ((!next.cost.valid)? best
+  : (((!best.cost.valid) || (compareCost(next.cost, best.cost, score) < 0))?
+      next
+    : best));
+
+/**
+ * Measures the cost of grouping values in a given `packed` order.
+ *
+ * @param {object} maps How values are grouped and derived. See `mapGroups`.
+ * @param {array.<number>} packed An order of indexes into `maps.values`.
+ *
+ * @returns {{packed:array.<number>,cost:object}} The `packed` order and its
+ *   cost. See `mapCost`.
+ */
+function measurePacked(maps, packed) {
+  const {
+      values, channelsMax, buffersMax, derives, aka, channelBytes, integer,
+      format
+    } = maps;
+
+  const grouped = mapStep({
+    values, channelsMax, buffersMax, derives, aka, channelBytes, integer,
+    format, packed
+  });
+
+  return { packed, cost: mapCost(grouped) };
+}
+
+/**
+ * The group of a value, by its integer type and format; only values of the
+ * same group may share a `texture`.
+ *
+ * @param {'int'|'uint'|null} [int] Any integer type of the value.
+ * @param {object|null} [format] Any format of the value. See `getFormat`.
+ *
+ * @returns {string} A key naming the value's group.
+ */
+const groupOf = (int, format) =>
+  [int, format?.type, format?.min, format?.mag, format?.wrap].join('|');
+
+/**
+ * The greedy `packed` order of values, as `packValues` gives; packed only with
+ * values of the same integer type and format, if any are given. See
+ * `packGroups`.
+ *
+ * @param {object} maps How values are grouped. See `mapGroups`.
+ * @param {array.<number>} values The values to pack.
+ *
+ * @returns {array.<number>} The indexes of `values`, packed greedily.
+ */
+function packGreedy(maps, values) {
+  const { integer, format, aka, channelsMax = channelsMaxDef } = maps;
+
+  return ((integer || format)?
+      packGroups(values,
+        map((_, v) =>
+            groupOf(getInteger(integer, v, aka), getFormat(format, v, aka)),
+          values, []),
+        channelsMax)
+    : packValues(values, channelsMax));
+}
+
+/**
+ * Whether the given `derives` is an `object` keyed by the names of next output
+ * values (as in `aka`), or their indexes in `values`; rather than one `derive`
+ * for all values, which is an `object` denoted by its `value` property.
+ *
+ * @see {@link derives}
+ *
+ * @param {derives} derives How values derive from past values.
+ *
+ * @returns {boolean} Whether `derives` is keyed by names of next values.
+ */
+export const derivesByName = (derives) =>
+  !!derives && (typeof derives === 'object') && !isArray(derives) &&
+    !('value' in derives);
+
+/**
+ * Gets how a next output value derives from past values; by its index in an
+ * `array` of `derives`, by its name (or index) in an `object` keyed by names of
+ * values, or all values derive the same as any other `derives`.
+ *
+ * @see {@link derives}
+ * @see {@link derivesByName}
+ *
+ * @example ```
+ *   const aka = ['position', 'motion'];
+ *
+ *   getDerive([[0, 1], 1], 0, aka); // =>
+ *   [0, 1];
+ *
+ *   getDerive({ position: ['position', 'motion'] }, 0, aka); // =>
+ *   ['position', 'motion'];
+ *
+ *   getDerive({ 1: 'motion' }, 1, aka); // =>
+ *   'motion';
+ *
+ *   getDerive(true, 1, aka); // =>
+ *   true;
+ * ```
+ *
+ * @param {derives} derives How values derive from past values.
+ * @param {number} value The index of the next value in `values`.
+ * @param {array.<string>} [aka] Any names of the values, by index.
+ *
+ * @returns {derive|array.<derive>} How the given value derives from past
+ *   values; `false`y-non-integer if it doesn't.
+ */
+export const getDerive = (derives, value, aka) =>
+  ((isArray(derives))? derives[value]
+  : ((derivesByName(derives))? (derives[aka?.[value]] ?? derives[value])
+  : derives));
+
+/**
+ * Gets how a value's neighbour samples are handled beyond the bounds of the
+ * data; by its index in an `array`, by its name (or index) in an `object` keyed
+ * by names of values, or all values handled the same as any other `boundary`.
+ *
+ * @see {@link mapSamples}
+ * @see {@link validBoundary}
+ *
+ * @example ```
+ *   const aka = ['density', 'velocity'];
+ *
+ *   getBoundary(['wrap', 0], 1, aka); // =>
+ *   0;
+ *
+ *   getBoundary({ density: 'wrap' }, 0, aka); // =>
+ *   'wrap';
+ *
+ *   getBoundary({ density: 'wrap' }, 1, aka); // =>
+ *   'clamp';
+ * ```
+ *
+ * @param {boundary|array.<boundary>|object.<string,boundary>} [boundary] How
+ *   any values are handled beyond the bounds of the data.
+ * @param {number} value The index of the value in `values`.
+ * @param {array.<string>} [aka] Any names of the values, by index.
+ *
+ * @returns {boundary} How the given value is handled beyond the bounds of the
+ *   data; `boundaryDef` if not given.
+ */
+export const getBoundary = (boundary, value, aka) =>
+  ((isArray(boundary))? boundary[value]
+  : ((boundary && (typeof boundary === 'object'))?
+      (boundary[aka?.[value]] ?? boundary[value])
+  : boundary)) ??
+    boundaryDef;
+
+/**
+ * Whether a given boundary is valid; clamped to the edges (`'clamp'`), wrapped
+ * around to the opposite edges (`'wrap'`), or a constant `number`.
+ *
+ * @see {@link getBoundary}
+ *
+ * @param {boundary} [boundary] A boundary to validate; no boundary if not
+ *   given, which is also valid.
+ *
+ * @returns {boolean} Whether the given `boundary` is valid.
+ */
+export const validBoundary = (boundary) =>
+  (boundary === undefined) || (boundary === 'clamp') ||
+    (boundary === 'wrap') || isFinite(boundary);
+
+/**
+ * Gets any integer type of a value, stored in integer `texture`s in `WebGL2`
+ * (e.g: for IDs or flags); by its index in an `array`, by its name (or index)
+ * in an `object` keyed by names of values, or all values of any other type.
+ *
+ * @see {@link mapGroups}
+ *
+ * @example ```
+ *   const aka = ['position', 'id'];
+ *
+ *   getInteger({ id: 'uint' }, 1, aka); // =>
+ *   'uint';
+ *
+ *   getInteger([, 'int'], 0, aka); // =>
+ *   null;
+ *
+ *   getInteger('float', 0, aka); // =>
+ *   null;
+ * ```
+ *
+ * @param {'int'|'uint'|array|object} [integer] Any integer types of values;
+ *   `int` (signed) or `uint` (unsigned).
+ * @param {number} value The index of the value in `values`.
+ * @param {array.<string>} [aka] Any names of the values, by index.
+ *
+ * @returns {'int'|'uint'|null} Any integer type of the given value; `null` if
+ *   it's not an integer value, or its type isn't valid (which isn't logged; the
+ *   value is then stored as any other, not as an integer).
+ */
+export function getInteger(integer, value, aka) {
+  const to = ((isArray(integer))? integer[value]
+    : ((integer && (typeof integer === 'object'))?
+        (integer[aka?.[value]] ?? integer[value])
+    : integer));
+
+  return (((to === 'int') || (to === 'uint'))? to : null);
+}
+
+/**
+ * Gets any format of a value's `texture`, as `{ type, min, mag, wrap }` (e.g:
+ * `{ type: 'half float' }`), overriding those `toData` gives all `texture`s; by
+ * its index in an `array`, by its name (or index) in an `object` keyed by names
+ * of values, or one format for all values otherwise.
+ *
+ * @see {@link mapGroups}
+ * @see {@link data.toData}
+ *
+ * @example ```
+ *   const aka = ['position', 'colour'];
+ *
+ *   getFormat({ colour: { type: 'half float' } }, 1, aka); // =>
+ *   { type: 'half float' };
+ *
+ *   getFormat([, { type: 'uint8', wrap: 'repeat' }], 0, aka); // =>
+ *   null;
+ * ```
+ *
+ * @param {array|object} [format] Any formats of values.
+ * @param {number} value The index of the value in `values`.
+ * @param {array.<string>} [aka] Any names of the values, by index.
+ *
+ * @returns {object|null} Any format of the given value; `null` if none.
+ */
+export function getFormat(format, value, aka) {
+  /** One format for all values is denoted by any of its properties. */
+  const all = !!format && !isArray(format) &&
+    (('type' in format) || ('min' in format) || ('mag' in format) ||
+      ('wrap' in format));
+
+  return ((!format || all)? format || null
+    : (((isArray(format))? format[value]
+      : (format[aka?.[value]] ?? format[value])) ?? null));
+}
+
+/**
+ * Calls a given `function` with each past `step` and `value` a value derives
+ * from; once per value, for any `derive` of all values (`true`).
+ *
+ * @see {@link derives}
+ *
+ * @param {derives} derives How values derive from past values. See `derives`.
+ * @param {number} value The index of the value deriving from others.
+ * @param {number} count How many values there are in all.
+ * @param {array.<string>} [aka] Any aliases of the values.
+ * @param {function} f Called with each `step`, `value` index (`-1` if not
+ *   found in `aka`), and any `offset` derived.
+ */
+function eachDerive(derives, value, count, aka, f) {
+  const dn = getDerive(derives, value, aka);
+
+  if(!dn && (dn !== 0)) { return; }
+
+  each((derive) => {
+      let step = 0;
+      let dp = derive;
+      let offset;
+
+      (derive === Object(derive)) &&
+        ({ value: dp = dp, step = step, offset } = derive);
+
+      aka && !isInteger(dp) && (dp !== true) && (dp = aka.indexOf(dp));
+
+      ((dp === true)? each((_, v) => f(step, v, offset), range(count))
+      : f(step, dp, offset));
+    },
+    (((dn !== derives) && isArray(dn))? dn : [dn]));
+}
+
+/**
+ * The values a value derives from, as `step:value` keys; to compare the values
+ * different values derive from.
+ *
+ * @see {@link mapSamples}
+ *
+ * @param {derives} derives How values derive from past values. See `derives`.
+ * @param {number} value The index of the value deriving from others.
+ * @param {number} count How many values there are in all.
+ * @param {array.<string>} [aka] Any aliases of the values.
+ *
+ * @returns {array.<string>} Unique keys of each `step` and `value` derived.
+ */
+function deriveKeys(derives, value, count, aka) {
+  const to = new Set();
+
+  eachDerive(derives, value, count, aka, (step, v, offset) =>
+    to.add(step+((offset)? ':'+offset : '')+':'+v));
+
+  return [...to];
+}
+
+/**
+ * The other values each value gets, as already written earlier in the same
+ * step (`got` states); such values can't share a pass.
+ *
+ * @see {@link mapGroups}
+ * @see {@link const.stepGot}
+ *
+ * @param {array.<number>} values The values. See `mapGroups`.
+ * @param {derives} [derives] How values derive from past values.
+ * @param {array.<string>} [aka] Any aliases of the values.
+ *
+ * @returns {array.<Set.<number>>|null} The indexes of the other values each
+ *   value gets; or `null` if none get any.
+ */
+function valueGets(values, derives, aka) {
+  let any = false;
+
+  const gets = map((_, v) => {
+      const to = new Set();
+
+      // A value getting itself can't be regrouped; see `orderPasses`.
+      eachDerive(derives, v, values.length, aka, (step, u) =>
+        (step === stepGot) && (u !== v) && to.add(u));
+
+      any ||= !!to.size;
+
+      return to;
+    },
+    values, []);
+
+  return ((any)? gets : null);
+}
+
+/**
+ * Groups `values` by the values they derive from; so values deriving from the
+ * same values share passes, taking fewer samples per-step and depending less
+ * on other passes; within `channelsMax` and `buffersMax`.
+ *
+ * Orders values into passes greedily; either fitting `texture`s first, or
+ * sharing derives first. Measures these against the greedy `packValues` order,
+ * and gives whichever order costs least; `packValues` unless another's cheaper.
+ * Never groups values getting each other in the same step (`got` states) into
+ * the same pass; see `mapGroups`.
+ *
+ * @see {@link mapGroups}
+ * @see {@link mapCost}
+ * @see {@link compareCost}
+ * @see {@link packValues}
+ *
+ * @example ```
+ *   const maps = {
+ *     values: [1, 1, 1, 1], channelsMax: 2, buffersMax: 1,
+ *     derives: [0, 2, 0, 2]
+ *   };
+ *
+ *   groupValues(maps); // =>
+ *   {
+ *     packed: [0, 2, 1, 3],
+ *     cost: {
+ *       passes: 2, textures: 2, samples: [1, 1], sampled: 2, across: 1,
+ *       bytes: 32, valid: true
+ *     }
+ *   };
+ *
+ *   // The 1st value gets the 2nd from the same step, so they can't share a
+ *   // pass; the 2nd's pass must write it first.
+ *   groupValues({
+ *     values: [2, 2, 2], channelsMax: 4, buffersMax: 2,
+ *     derives: [{ value: 1, step: -1 }, 1, 2]
+ *   }); // =>
+ *   {
+ *     packed: [0, 1, 2],
+ *     cost: {
+ *       passes: 2, textures: 2, samples: [1, 1], sampled: 2, across: 1,
+ *       bytes: 64, valid: true
+ *     }
+ *   };
+ * ```
+ *
+ * @param {object} maps How values are grouped and derived. See `mapGroups`.
+ * @param {array.<number>} [maps.values=valuesDef()] The values to group.
+ * @param {number} [maps.channelsMax=channelsMaxDef] Maximum channels
+ *   per-`texture`.
+ * @param {number|false} [maps.buffersMax=buffersMaxDef] Maximum `texture`s
+ *   bound as outputs per-pass.
+ * @param {derives} [maps.derives] How values derive from past values; any
+ *   values are packed by `packValues` if not given. See `mapSamples`.
+ * @param {array.<string>} [maps.aka] Any aliases of the values.
+ * @param {function} [maps.score=scoreCost] Scores the cost of each order;
+ *   lower costs less. See `mapCost` and `scoreCost`.
+ * @param {object} [to=\{\}] An `object` to contain the results; a new `object`
+ *   if not given.
+ *
+ * @returns {object} `to` The given `to` `object`, with:
+ * @returns {array.<number>} `to.packed` The indexes of `values`, in the order
+ *   grouping them at least cost.
+ * @returns {object} `to.cost` The cost of the `packed` order. See `mapCost`.
+ */
+export function groupValues(maps, to = {}) {
+  const {
+      values = valuesDef(), derives, aka, score = scoreCost,
+      channelsMax = channelsMaxDef, buffersMax = buffersMaxDef
+    } = maps;
+
+  const count = values.length;
+  /** The greedy `packed` order, to measure any other orders against. */
+  const greedy = packGreedy(maps, values);
+  const measure = (packed) => measurePacked(maps, packed);
+
+  // Only passes of values deriving from other values can be improved.
+  if(!useBuffers(buffersMax) || (!derives && (derives !== 0)) ||
+      !values.every(validValue)) {
+    return Object.assign(to, measure(greedy));
+  }
+
+  const keys = map((_, v) => deriveKeys(derives, v, count, aka), values, []);
+  /** Any other values each value gets in the same step; see `valueGets`. */
+  const gets = valueGets(values, derives, aka);
+
+  /**
+   * Orders values into passes, picking each next value by the given `better`;
+   * tracks `texture`s and passes as in `mapGroups`.
+   */
+  const order = (better) => {
+    const left = [...greedy];
+    const packed = [];
+    /** Channels used in the open `texture`; full to open one at first. */
+    let channels = channelsMax;
+    /** `Texture`s bound to the current pass; full to open one at first. */
+    let bound = buffersMax;
+    /** Values derived by the current pass. */
+    let passKeys = new Set();
+    /** Values in the current pass. */
+    let passValues = new Set();
+
+    /** Binds `texture`s to the current pass, or new passes as each fills. */
+    const bind = (n) => {
+      for(let i = 0; i < n; ++i) {
+        (bound < buffersMax) ||
+          ((bound = 0), (passKeys = new Set()), (passValues = new Set()));
+
+        ++bound;
+      }
+    };
+
+    /**
+     * Whether a value gets any value in the current pass, or any value there
+     * gets it; illegal, so it must open a new pass, as `mapGroups` does.
+     */
+    const clash = (v) => !!gets &&
+      [...passValues].some((u) => gets[v].has(u) || gets[u].has(v));
+
+    while(left.length) {
+      const pick = reduce((pick, v, i) => {
+          const last = packValue(values[v], channelsMax);
+          const clashes = clash(v);
+          const fit = ((clashes)? -1 : channelsMax-channels-last);
+          /** Whether the value would open a new pass, sharing nothing. */
+          const opens = clashes || ((fit < 0) && (bound >= buffersMax));
+
+          const shared = ((opens)? 0
+            : reduce((n, k) => n+passKeys.has(k), keys[v], 0));
+
+          const next = { i, v, last, fit, shared, clashes };
+
+          return ((!pick || better(next, pick))? next : pick);
+        },
+        left, null);
+
+      const { i, v, last, fit, clashes } = pick;
+
+      clashes && (bound = buffersMax);
+
+      if(fit < 0) {
+        channels = last;
+        bind(1);
+      }
+      else { channels += last; }
+
+      bind(splitValue(values[v], channelsMax).length-1);
+      each((k) => passKeys.add(k), keys[v]);
+      passValues.add(v);
+      packed.push(v);
+      left.splice(i, 1);
+    }
+
+    return packed;
+  };
+
+  /** Whether `a` fits tighter than `b`; any fit, then the smallest gap. */
+  const fitter = (a, b) => (((a.fit >= 0) !== (b.fit >= 0))? (a.fit >= 0)
+    : ((a.fit >= 0) && (a.fit < b.fit)));
+
+  /** Whether `a` shares more derives than `b`. */
+  const sharer = (a, b) => a.shared > b.shared;
+
+  /** Fits `texture`s first, then shares derives. */
+  const fitFirst = (a, b) =>
+    fitter(a, b) || (!fitter(b, a) && sharer(a, b));
+
+  /** Shares derives first, then fits `texture`s. */
+  const shareFirst = (a, b) =>
+    sharer(a, b) || (!sharer(b, a) && fitter(a, b));
+
+  /** The cheapest order; the first of any that cost the same. */
+  return Object.assign(to,
+    reduce((best, packed) => cheaper(best, measure(packed), score),
+      [order(fitFirst), order(shareFirst)], measure(greedy)));
+}
+
+/**
+ * Calls a given `function` with every order of the given `array`'s entries;
+ * by Heap's algorithm, each order differing from the last by one swap.
+ *
+ * @see [Heap's algorithm](https://en.wikipedia.org/wiki/Heap%27s_algorithm)
+ *
+ * @param {function} f Called with a new `array` of each order of `a`.
+ * @param {array} a The entries to order.
+ */
+function permute(f, a) {
+  const to = [...a];
+  const counts = map(() => 0, to, []);
+
+  f([...to]);
+
+  for(let i = 1; i < to.length;) {
+    if(counts[i] < i) {
+      const j = ((i%2)? counts[i] : 0);
+      const swap = to[i];
+
+      to[i] = to[j];
+      to[j] = swap;
+      f([...to]);
+      ++counts[i];
+      i = 1;
+    }
+    else { counts[i++] = 0; }
+  }
+}
+
+/**
+ * Optimises the `packed` order of `values` by a cost model; scoring each
+ * order's `texture`s, passes, samples, and bytes, by any given `score`.
+ *
+ * Searches every order exhaustively for up to `searchMax` values; otherwise
+ * searches heuristically, from the cheapest order `groupValues` gives, swapping
+ * pairs of values while any swap costs less, for up to `triesMax` orders.
+ * Gives the greedy `packValues` order unless another's cheaper; skipping any
+ * orders of invalid maps, without logging anything (see `mapCost`).
+ *
+ * May be given as `maps.group`, to optimise `mapGroups`.
+ *
+ * @see {@link mapGroups}
+ * @see {@link groupValues}
+ * @see {@link packValues}
+ * @see {@link mapCost}
+ * @see {@link scoreCost}
+ *
+ * @example ```
+ *   const maps = {
+ *     values: [1, 1, 1, 1], channelsMax: 2, buffersMax: 1,
+ *     derives: [0, 2, 0, 2]
+ *   };
+ *
+ *   optimiseValues(maps); // =>
+ *   {
+ *     packed: [2, 0, 1, 3],
+ *     cost: {
+ *       passes: 2, textures: 2, samples: [1, 1], sampled: 2, across: 1,
+ *       bytes: 32, valid: true
+ *     }
+ *   };
+ *
+ *   // Any other cost model; e.g: fewest bytes, ignoring all else.
+ *   mapGroups({ ...maps, group: optimiseValues, score: ({ bytes }) => bytes });
+ * ```
+ *
+ * @param {object} maps How values are grouped and derived. See `mapGroups`.
+ * @param {array.<number>} [maps.values=valuesDef()] The values to group.
+ * @param {number} [maps.channelsMax=channelsMaxDef] Maximum channels
+ *   per-`texture`.
+ * @param {number|false} [maps.buffersMax=buffersMaxDef] Maximum `texture`s
+ *   bound as outputs per-pass.
+ * @param {derives} [maps.derives] How values derive from past values.
+ *   See `mapSamples`.
+ * @param {function} [maps.score=scoreCost] Scores the cost of each order;
+ *   lower costs less. See `mapCost` and `scoreCost`.
+ * @param {number} [maps.searchMax=searchMaxDef] The most values to search
+ *   every order of exhaustively; more values are searched heuristically.
+ * @param {number} [maps.triesMax=triesMaxDef] The most orders to try when
+ *   searching heuristically.
+ * @param {object} [to=\{\}] An `object` to contain the results; a new `object`
+ *   if not given.
+ *
+ * @returns {object} `to` The given `to` `object`, with:
+ * @returns {array.<number>} `to.packed` The indexes of `values`, in the order
+ *   found at least cost.
+ * @returns {object} `to.cost` The cost of the `packed` order. See `mapCost`.
+ */
+export function optimiseValues(maps, to = {}) {
+  const {
+      values = valuesDef(), score = scoreCost, searchMax = searchMaxDef,
+      triesMax = triesMaxDef
+    } = maps;
+
+  const count = values.length;
+
+  if(!values.every(validValue)) {
+    return Object.assign(to,
+      measurePacked(maps, packGreedy(maps, values)));
+  }
+
+  if(count <= searchMax) {
+    /** Try every order, from the greedy order. */
+    let best = measurePacked(maps, packGreedy(maps, values));
+
+    permute((packed) =>
+        best = cheaper(best, measurePacked(maps, packed), score),
+      best.packed);
+
+    return Object.assign(to, best);
+  }
+
+  /** Swap pairs of values from the cheapest grouping, while any costs less. */
+  let best = groupValues(maps);
+  let tries = 0;
+
+  for(let swapped = true; swapped && (tries < triesMax);) {
+    swapped = false;
+
+    for(let i = 0; (i < count) && (tries < triesMax); ++i) {
+      for(let j = i+1; (j < count) && (tries < triesMax); ++j, ++tries) {
+        const packed = [...best.packed];
+
+        packed[i] = best.packed[j];
+        packed[j] = best.packed[i];
+
+        const next = cheaper(best, measurePacked(maps, packed), score);
+
+        swapped ||= (next !== best);
+        best = next;
+      }
+    }
+  }
+
+  return Object.assign(to, best);
+}
+
 /**
  * Groups the `values` of `gpgpu` data across draw passes and data textures.
  *
@@ -196,6 +1174,33 @@ export function packValues(values, channelsMax = channelsMaxDef, to = []) {
  *     valueToTexture: [1, 0], valueToPass: [0, 0],
  *     textureToPass: [0, 0]
  *   };
+ *
+ *   // Values wider than `channelsMax` split into parts across textures.
+ *   mapGroups({ ...maps, values: [9, x], buffersMax: 4 }); // =>
+ *   {
+ *     ...maps, values: [9, x], packed: [1, 0],
+ *     textures: [[1, 0], [0], [0]], // length === 3
+ *     passes: [[0, 1, 2]], // length === 1
+ *     valueToTexture: [1, 0], valueToPass: [0, 0],
+ *     textureToPass: [0, 0, 0],
+ *     // Channels of each part of split values, sparse.
+ *     parts: [[4, 4, 1]],
+ *     // Textures of each part of split values, sparse.
+ *     valueToTextures: [[1, 2, 0]]
+ *   };
+ *
+ *   // Values getting others in the same step go in separate passes.
+ *   mapGroups({
+ *     ...maps, values: [2, 2, 2], buffersMax: 4,
+ *     derives: [{ value: 1, step: -1 }, 1, 2]
+ *   }); // =>
+ *   {
+ *     ...maps, values: [2, 2, 2], packed: [0, 1, 2],
+ *     textures: [[0], [1, 2]], // length === 2
+ *     passes: [[0], [1]], // length === 2
+ *     valueToTexture: [0, 1, 1], valueToPass: [0, 1, 1],
+ *     textureToPass: [0, 1]
+ *   };
  * ```
  *
  * @param {object} [maps=\{\}] Initial maps settings; new `object` if not given.
@@ -212,6 +1217,10 @@ export function packValues(values, channelsMax = channelsMaxDef, to = []) {
  *   The order may affect the number of textures/passes needed; can maintain
  *   order as-is, or use a more efficient `packed` order. See `packValues`.
  *
+ *   Values wider than `channelsMax` are split into parts across textures; all
+ *   but the last part fill textures of their own, and the last part is packed
+ *   with other values. See `splitValue`.
+ *
  * @param {number} [maps.channelsMax=channelsMaxDef] Maximum channels
  *   per-`texture`.
  * @param {number|false} [maps.buffersMax=buffersMaxDef] Maximum `texture`s that
@@ -222,7 +1231,25 @@ export function packValues(values, channelsMax = channelsMaxDef, to = []) {
  * @param {array.<number>} [maps.packed] An `array` of indexes into `values`
  *   packed into an order that best fits into blocks of `channelsMax` to
  *   minimise resources; or `false`y to use `values` in their given order; uses
- *   `packValues` if not given.
+ *   any `group` strategy, or `packValues`, if not given.
+ * @param {true|function} [maps.group] Any strategy to group values into passes,
+ *   if not given any `packed` order: `true` uses `groupValues`, grouping values
+ *   by what they derive; or a `function` given `maps`, returning an `object`
+ *   with a `packed` order and its `cost` (e.g: `optimiseValues`, to optimise
+ *   by a cost model). Uses `packValues` if not given.
+ * @param {'int'|'uint'|array|object} [maps.integer] Any integer types of
+ *   values, stored in integer `texture`s in `WebGL2` (e.g: for IDs or flags);
+ *   by index, by name in any `maps.aka`, or one for all values. Only values of
+ *   the same type share a texture. See `getInteger` and `packGroups`.
+ * @param {array|object} [maps.format] Any formats of values' `texture`s, as
+ *   `{ type, min, mag, wrap }` (e.g: `half float` colours, `uint8` flags);
+ *   by index, by name in any `maps.aka`, or one for all values. Only values of
+ *   the same format share a texture. See `getFormat` and `packGroups`.
+ * @param {array.<string>} [maps.aka] Any names of the values, by index.
+ * @param {derives} [maps.derives] How values derive from past values; any
+ *   values getting others already written in the same step (`got` states)
+ *   never share a pass with them, so passes may be ordered to write them
+ *   first. See `mapSamples` and `orderPasses`.
  * @param {object} [to=maps] An `object` to contain the results; modifies `maps`
  *   if not given.
  *
@@ -244,13 +1271,48 @@ export function packValues(values, channelsMax = channelsMaxDef, to = []) {
  *   `to.values` to the index of the pass containing it.
  * @returns {array.<number>} `to.textureToPass` Inverse map from each index of
  *   `to.textures` to the index of the pass containing it.
+ * @returns {array.<array.<number>>} `to.parts` Sparse map from each index of
+ *   `to.values` split into parts, to the channels of each part. See
+ *   `splitValue`.
+ * @returns {array.<array.<number>>} `to.valueToTextures` Sparse map from each
+ *   index of `to.values` split into parts, to the index of the data-texture
+ *   containing each part; where `to.valueToTexture` and `to.valueToPass` map
+ *   to its first part.
+ * @returns {array.<'int'|'uint'>} `[to.integers]` Sparse map from each index
+ *   of `to.textures` holding integer values, to their integer type; only set
+ *   if any values are integers. See `maps.integer`.
+ * @returns {array.<object>} `[to.formats]` Sparse map from each index of
+ *   `to.textures` holding values of a given format, to that format; only set
+ *   if any values have a format. See `maps.format`.
+ * @returns {object} `[to.cost]` The cost of any `group` strategy's `packed`
+ *   order; to compare with other orders. See `mapCost`.
  */
 export function mapGroups(maps = {}, to = maps) {
   const {
-      values = valuesDef(),
-      buffersMax = buffersMaxDef, channelsMax = channelsMaxDef,
+      values = valuesDef(), group, integer, format, aka, derives,
+      buffersMax = buffersMaxDef, channelsMax = channelsMaxDef
+    } = maps;
+
+  /** Any integer type of each value. */
+  const ints = integer &&
+    map((_, v) => getInteger(integer, v, aka), values, []);
+
+  /** Any format of each value. */
+  const fs = format && map((_, v) => getFormat(format, v, aka), values, []);
+
+  /** Any group of each value; only values of a group share `texture`s. */
+  const groups = (ints || fs) &&
+    map((_, v) => groupOf(ints?.[v], fs?.[v]), values, []);
+
+  /** Any grouping strategy, if not given any `packed` order. */
+  const grouped = group && (maps.packed === undefined) &&
+    ((group === true)? groupValues : group)(maps);
+
+  const {
       // Pack `values` into blocks of `channelsMax` to minimise resources.
-      packed = packValues(values, channelsMax)
+      packed = grouped?.packed ??
+        ((groups)? packGroups(values, groups, channelsMax)
+        : packValues(values, channelsMax))
     } = maps;
 
   // Ensure any properties changed are included.
@@ -258,48 +1320,111 @@ export function mapGroups(maps = {}, to = maps) {
   to.buffersMax = buffersMax;
   to.channelsMax = channelsMax;
   to.packed = packed;
+  grouped && (to.cost = grouped.cost);
 
   const passes = to.passes = [[]];
   const textures = to.textures = [[]];
   const valueToTexture = to.valueToTexture = [];
   const valueToPass = to.valueToPass = [];
   const textureToPass = to.textureToPass = [];
+  const parts = to.parts = [];
+  const valueToTextures = to.valueToTextures = [];
+  /** Any integer types and formats of textures; only in `to` if any. */
+  const integers = [];
+  const formats = [];
+
+  delete to.integers;
+  delete to.formats;
 
   /** Whether to use output buffers in passes, or no buffers in one pass. */
   const output = !!buffersMax;
-  /** Counts the number of channels written in a single draw pass. */
+  /** Any other values each value gets in the same step; see `valueGets`. */
+  const gets = output && valueGets(values, derives, aka);
+  /** Counts the number of channels written to the open texture. */
   let channels = 0;
+  /** The texture open to pack more values into. */
+  let open = 0;
   /** Get the index, via any `packed`, from `values`. */
   const getIndex = ((packed)? ((i) => packed[i]) : ((i) => i));
   /** Get the value, via any `packed`, from `values`. */
   const getValue = ((packed)? ((_, i) => values[i]) : ((v) => v));
 
+  /**
+   * Whether the given value index gets any value in the given pass, or any
+   * value there gets it; so it can't join that pass, as values got are only
+   * written by earlier passes in the same step.
+   */
+  const clash = (index, p) => !!gets && !!passes[p]?.some((t) =>
+    textures[t].some((v) => gets[index].has(v) || gets[v].has(index)));
+
+  /**
+   * Binds a texture to the last pass, or a new pass if that one's full or
+   * `fresh` is given.
+   */
+  function bind(t, fresh) {
+    let p = passes.length-1;
+    let pass = passes[p];
+
+    output && ((pass.length >= buffersMax) || (fresh && pass.length)) &&
+      (p = passes.push(pass = [])-1);
+
+    pass.push(t);
+
+    return textureToPass[t] = p;
+  }
+
+  /** Adds a new texture holding the given value index, bound to a pass. */
+  function add(index) {
+    const t = textures.push([index])-1;
+
+    bind(t, clash(index, passes.length-1));
+
+    return t;
+  }
+
   return reduce((to, v, i) => {
       const index = getIndex(i);
       const value = getValue(v, index);
 
-      if(!validValue(value, channelsMax)) { return to; }
+      if(!validValue(value)) { return to; }
 
-      let p = passes.length-1;
-      let pass = passes[p];
-      let t = textures.length-1;
-      let texture = textures[t];
+      /** Only a split value's last part may share a texture with others. */
+      const last = packValue(value, channelsMax);
+      /** Any integer type and format; only a group's values share textures. */
+      const int = ints?.[index];
+      const f = fs?.[index];
+      const into = textures[open];
 
-      if((channels += value) > channelsMax) {
-        channels = value;
-        t = textures.push(texture = [])-1;
-        output && (pass.length >= buffersMax) && (p = passes.push(pass = [])-1);
-        pass.push(t);
-        textureToPass.push(p);
+      // Values getting others in the same step can't share their passes.
+      if(((channels += last) > channelsMax) ||
+          (into.length && (groups?.[index] !== groups?.[into[0]])) ||
+          (into.length && clash(index, textureToPass[open]))) {
+        channels = last;
+        open = textures.push([])-1;
+        bind(open, clash(index, passes.length-1));
       }
-      else if(pass.length === 0) {
-        pass.push(t);
-        textureToPass.push(p);
+      else if(!isInteger(textureToPass[open])) { bind(open); }
+
+      textures[open].push(index);
+      int && ((to.integers = integers)[open] = int);
+      f && ((to.formats = formats)[open] = f);
+
+      if(value > channelsMax) {
+        /** Any other parts of a split value fill textures of their own. */
+        const split = parts[index] = splitValue(value, channelsMax);
+        const ts = valueToTextures[index] =
+          map(() => add(index), split.slice(0, -1));
+
+        int && each((t) => (to.integers = integers)[t] = int, ts);
+        f && each((t) => (to.formats = formats)[t] = f, ts);
+        ts.push(open);
       }
 
-      texture.push(index);
+      /** A split value maps to the texture and pass of its first part. */
+      const t = valueToTextures[index]?.[0] ?? open;
+
       valueToTexture[index] = t;
-      valueToPass[index] = p;
+      valueToPass[index] = textureToPass[t];
 
       return to;
     },
@@ -358,6 +1483,14 @@ export function mapGroups(maps = {}, to = maps) {
  * @param {derives} [maps.derives] How the next output state `values` derive
  *   from any past input `values`. If given no `derives`, or a
  *   `false`y-non-integer, no samples are mapped, `to` is returned unchanged.
+ *   May be keyed by names of values in any `maps.aka`; e.g: `{ position:
+ *   ['position', 'motion'], colour: { value: 'life', step: -1 } }`.
+ * @param {array.<string>} [maps.aka] Any names of values, by index; for
+ *   `derives` to refer to values by name rather than index.
+ * @param {boundary|array.<boundary>|object.<string,boundary>} [maps.boundary]
+ *   How any neighbour samples (`derive`s with an `offset`) of each value are
+ *   handled beyond the bounds of the data; by index, by name in `maps.aka`, or
+ *   one for all values. Clamps to the edges if not given. See `getBoundary`.
  *
  * @param {array.<array.<number>>} maps.passes Textures grouped into passes. See
  *   `mapGroups`.
@@ -365,6 +1498,9 @@ export function mapGroups(maps = {}, to = maps) {
  *   `mapGroups`.
  * @param {array.<number>} maps.valueToTexture Inverse map from each value index
  *   to the data texture index containing it.
+ * @param {array.<array.<number>>} [maps.valueToTextures] Sparse map from each
+ *   index of any values split into parts, to the data texture index containing
+ *   each part. See `mapGroups`.
  * @param {object} [to=maps] The object to store the result in; `maps` if not
  *   given.
  *
@@ -376,67 +1512,122 @@ export function mapGroups(maps = {}, to = maps) {
  *   pass of `maps.passes`.
  * @returns {array.<array.<array.<number>>>} `[to.reads]` Sparse map from
  *   each value of `derives` to its step and texture indexes in `to.samples`.
+ *   Deriving from a value split into parts reads every part, in order, each
+ *   taking its own read. See `mapGroups`.
+ * @returns {array.<array.<array.<number>>>} `[to.readsToValue]` Sparse map
+ *   from each read of `to.reads` to the index of the value it reads.
+ * @returns {array.<array.<boundary>>} `[to.boundaries]` Sparse map from each
+ *   neighbour sample of `to.samples` to how it's handled beyond the bounds of
+ *   the data. Any pass with neighbour samples has all its samples as
+ *   `[step, texture, x, y]`, offset from the entry by `[x, y]` entries.
  * @returns {derives} `[to.derives]` How new values derive from past values, as
  *   given.
+ * @returns {array.<array.<number>>} `to.passes` Textures grouped into passes;
+ *   reordered along with any other per-pass maps, if any passes get values
+ *   from other passes in the current `step`. See `orderPasses`.
+ * @returns {array.<array>} `[to.invalid]` Any problems making the maps
+ *   invalid, each as a message and the info it concerns (e.g: to log by
+ *   `console.error(...problem)`); not given if the maps are valid. Nothing is
+ *   logged here, so maps may be tried freely; the caller decides how to handle
+ *   any invalid maps.
  */
 export function mapSamples(maps = {}, to = maps) {
-  const { derives, passes, textures, valueToTexture, aka } = maps;
+  const {
+      derives, passes, textures, valueToTexture, valueToTextures, aka,
+      boundary
+    } = maps;
+
+  // Any problems are found anew each time the samples are mapped.
+  delete to.invalid;
 
   if(!derives && (derives !== 0)) { return to; }
 
+  /** Marks the maps invalid; for the caller to handle, not logged here. */
+  const invalid = (...problem) => (to.invalid ??= []).push(problem);
+
+  // Check any names of next values in `derives` are known.
+  derivesByName(derives) &&
+    each((k) => aka?.includes(k) || isInteger(+k) ||
+        invalid(`\`mapSamples\`: no value named \`${k}\` in \`aka\`, `+
+          'to derive it from past values.', derives, aka, k),
+      Object.keys(derives));
+
   const reads = to.reads = [];
   const readsToValue = to.readsToValue = [];
+  const boundaries = to.boundaries = [];
   const cache = {};
 
-  const allStepSamples = (step) =>
-    cache[step] ??= map((t, value) => ({ step, value }), valueToTexture);
+  const allStepSamples = (step, offset) =>
+    cache[step+':'+offset] ??=
+      map((t, value) => ({ step, value, offset }), valueToTexture);
 
   const getAddSample = (pass, valueNext) => function add(set, derive, d) {
     /** The past step to derive from. */
     let step = 0;
     /** The past value to derive from. */
     let dp = derive;
+    /** Any offset from the entry to sample neighbour entries, as `[x, y]`. */
+    let offset;
 
-    // Derive from any specified `value` and `step` nested properties.
+    // Derive from any specified `value`, `step`, `offset` nested properties.
     (derives !== true) && !isInteger(derives) &&
-      ({ value: dp = dp, step = step } = derive);
+      ({ value: dp = dp, step = step, offset } = derive);
 
     // Derive from all samples at the given or most recent step if given `true`.
-    if(dp === true) { return reduce(add, allStepSamples(step), set); }
+    if(dp === true) { return reduce(add, allStepSamples(step, offset), set); }
 
     // Look up any possible alias.
-    /** @todo Support alias in the key as well. */
     aka && !isInteger(dp) && (dp = aka.indexOf(dp));
 
-    // Derive from the given sample.
-    const texture = valueToTexture[dp];
+    // Derive from the given sample; from every part of any split value.
+    const ts = valueToTextures?.[dp] ?? [valueToTexture[dp]];
+    const [x = 0, y = 0] = offset ?? [];
+    /** Any boundary handling of the value, only for any neighbour samples. */
+    const b = ((x || y)? getBoundary(boundary, dp, aka) : undefined);
+
+    if(!isInteger(step) || (step < stepGot) || !ts.every(isInteger) ||
+        !isInteger(x) || !isInteger(y) || !validBoundary(b)) {
+      invalid('`mapSamples`: invalid map for sample',
+        derives, pass, valueNext, derive, d, step, ts, dp, offset, b);
 
-    if(!isInteger(step) || !isInteger(texture)) {
-      return console.error('`mapSamples`: invalid map for sample',
-        derives, maps, pass, valueNext, derive, d, step, texture, dp);
+      return set;
     }
 
     // Create the set if not already created.
     const to = (set || []);
-    // Check for any existing matching step/texture read in the set.
-    const i = to.findIndex(([s, t]) => (s === step) && (t === texture));
 
-    // Add the read for this next value in this pass; creating any needed maps.
-    ((reads[pass] ??= [])[valueNext] ??= [])
-      // A new read as needed, or any existing matching read.
-      .push((i < 0)? to.push([step, texture])-1 : i);
+    each((texture) => {
+        // Check for any existing matching sample in the set.
+        const i = to.findIndex(([s, t, sx = 0, sy = 0], j) =>
+          (s === step) && (t === texture) && (sx === x) && (sy === y) &&
+            (boundaries[pass]?.[j] === b));
+
+        /** Any neighbour sample, offset from the entry. */
+        const sample = ((x || y)? [step, texture, x, y] : [step, texture]);
+        const n = ((i < 0)? to.push(sample)-1 : i);
 
-    // Add a reverse lookup from read index to value index.
-    ((readsToValue[pass] ??= [])[valueNext] ??= []).push(dp);
+        // Any boundary handling of the neighbour sample.
+        (b !== undefined) && ((boundaries[pass] ??= [])[n] = b);
+
+        // Add the read for this next value in this pass; creating any maps.
+        ((reads[pass] ??= [])[valueNext] ??= [])
+          // A new read as needed, or any existing matching read.
+          .push(n);
+
+        // Add a reverse lookup from read index to value index.
+        ((readsToValue[pass] ??= [])[valueNext] ??= []).push(dp);
+      },
+      ts);
 
     return to;
   };
 
   const getAddSamples = (pass) => (set, valueNext) => {
     /** Derive next output value from any given past input values. */
-    const dn = ((isArray(derives))? derives[valueNext] : derives);
+    const dn = getDerive(derives, valueNext, aka);
 
-    return (((!dn && (dn !== 0))? set
+    /** Any parts of a split value in the same pass derive the same samples. */
+    return ((((!dn && (dn !== 0)) || reads[pass]?.[valueNext])? set
       : (((dn !== derives) && isArray(dn))?
         reduce(getAddSample(pass, valueNext), dn, set)
       : getAddSample(pass, valueNext)(set, dn))));
@@ -447,9 +1638,132 @@ export function mapSamples(maps = {}, to = maps) {
       pass, null),
     passes, []);
 
+  // Any pass with neighbour samples gives all its samples an offset.
+  each((set) => set?.some(({ length: l }) => l > 2) &&
+      each((sample) => (sample.length > 2) || sample.push(0, 0), set),
+    to.samples);
+
+  // Run any passes getting values from others after those they get them from.
+  return orderPasses(to);
+}
+
+/**
+ * Orders passes so that any pass deriving values already written earlier in
+ * the same step (`got` states) runs after the passes it gets them from.
+ *
+ * Passes are kept in their given order where they don't depend on each other.
+ * Any cycle of passes getting values from each other (or any pass getting
+ * values from itself) can't be ordered, so marks the maps `invalid`; as
+ * `mapGroups` keeps values getting each other in separate passes, only values
+ * getting each other in a cycle (or getting themselves) may cause this.
+ *
+ * @see {@link mapSamples}
+ * @see {@link const.stepGot}
+ *
+ * @example ```
+ *   const maps = mapGroups({
+ *     values: [2, 4, 1], channelsMax: 4, buffersMax: 1, packed: false,
+ *     // The 1st value gets the 3rd value's output from this step.
+ *     derives: [{ value: 2, step: -1 }]
+ *   });
+ *
+ *   orderPasses(mapSamples(maps)); // =>
+ *   {
+ *     ...maps,
+ *     passes: [[2], [0], [1]],
+ *     samples: [null, [[-1, 2]], null],
+ *     reads: [, [[0]], ,],
+ *     valueToPass: [1, 2, 0], textureToPass: [1, 2, 0]
+ *   };
+ * ```
+ *
+ * @param {object} maps How values are grouped per-`texture` per-pass per-step,
+ *   and the samples they derive. See `mapGroups` and `mapSamples`.
+ * @param {array.<array.<number>>} maps.passes Textures grouped into passes.
+ * @param {array.<array.<array.<number>>>} [maps.samples] The samples of each
+ *   pass, as `[step, texture]` pairs; any `step` of `stepGot` gets values
+ *   already written earlier in the same step.
+ * @param {array.<number>} maps.textureToPass Map from each texture index to the
+ *   index of the pass containing it.
+ * @param {object} [to=maps] The object to store the result in; `maps` if not
+ *   given.
+ *
+ * @returns {object} `to` The given `to` object; with any per-pass maps
+ *   (`passes`, `samples`, `reads`, `readsToValue`, `boundaries`) and any maps
+ *   to passes (`textureToPass`, `valueToPass`) reordered as needed.
+ * @returns {array.<array>} `[to.invalid]` Any problems making the maps invalid,
+ *   added to; including any cycle of passes, left in their given order.
+ *   See `mapSamples`.
+ */
+export function orderPasses(maps, to = maps) {
+  const {
+      passes, samples, reads, readsToValue, boundaries, textureToPass,
+      valueToPass
+    } = maps;
+
+  /** Each pass's list of any passes it gets values from. */
+  const needs = map((_, p) => reduce((needs, [step, t]) => {
+        const q = textureToPass[t];
+
+        (step === stepGot) && !needs.includes(q) && needs.push(q);
+
+        return needs;
+      },
+      samples?.[p] ?? [], []),
+    passes, []);
+
+  /** The new order of passes, as indexes into the given `passes`. */
+  const order = [];
+  /** Each pass's state: `true` once ordered, `false` while ordering. */
+  const done = [];
+
+  /** Orders any passes needed by the given pass, then the pass; `false` if any
+   * cycle is found. */
+  const visit = (p) => ((done[p] ?? ((done[p] = false),
+      (needs[p].every(visit) && (order.push(p), done[p] = true)))));
+
+  if(!passes.every((_, p) => visit(p))) {
+    (to.invalid ??= []).push(['`orderPasses`: passes get values from each '+
+        'other (or from themselves) in a cycle in the same step; so no pass '+
+        'can run first. Derive values from past steps to break the cycle.',
+      needs]);
+
+    return to;
+  }
+
+  if(order.every((p, i) => p === i)) { return to; }
+
+  /** Map from each given pass index to its new index. */
+  const toOrder = reduce((to, p, i) => (to[p] = i, to), order, []);
+  const reorder = (a) => a && map((p) => a[p], order);
+
+  to.passes = reorder(passes);
+  to.samples = reorder(samples);
+  to.reads = reorder(reads);
+  to.readsToValue = reorder(readsToValue);
+  to.boundaries = reorder(boundaries);
+  to.textureToPass = map((p) => toOrder[p], textureToPass);
+  to.valueToPass = map((p) => toOrder[p], valueToPass);
+
   return to;
 }
 
+/**
+ * Whether any pass derives values already written earlier in the same step
+ * (`got` states).
+ *
+ * @see {@link mapSamples}
+ * @see {@link const.stepGot}
+ *
+ * @param {object} maps How values are grouped and sampled. See `mapSamples`.
+ * @param {array.<array.<array.<number>>>} [maps.samples] The samples of each
+ *   pass, as `[step, texture]` pairs.
+ *
+ * @returns {boolean} Whether any samples get values from the current step.
+ */
+export const hasGots = ({ samples }) =>
+  !!samples?.some((pass) => pass?.some(([step]) => step === stepGot));
+
 /**
  * Maps a full step, creates maps grouping given values per-`texture` per-pass
  * per-step, and minimal samples and reads if new values derive from past ones.
@@ -463,12 +1777,14 @@ export function mapSamples(maps = {}, to = maps) {
  *
  * @returns {object} `to` The given `to` object; how `values` are grouped
  *   per-`texture` per-pass per-step, meta information, and given parameters;
- *   and minimal samples and reads for any given `maps.derives`.
+ *   and minimal samples and reads for any given `maps.derives`; and any
+ *   problems making the maps `invalid`. See `mapSamples`.
  */
 export const mapStep = (maps, to = maps) => mapSamples(mapGroups(maps, to), to);
 
 /**
- * @typedef {derive|array.<derive|array.<derive>>>} derives
+ * @typedef {derive|array.<derive|array.<derive>>|
+ *   object.<string,derive|array.<derive>>} derives
  * Denotes how next output `values` derive from any past input `values`.
  *
  * A nested hierarchy of the form
@@ -476,12 +1792,19 @@ export const mapStep = (maps, to = maps) => mapSamples(mapGroups(maps, to), to);
  * nesting level denotes how to derive:
  * 0. `all-next-from-past`: to all next `values`, from one/all past `value`/s.
  * 1. `any-next-from-past`: to any given next `values` (by sparse `array`
- *   indexes in `values` order), from one/all past `value`/s.
+ *   indexes in `values` order, or by `object` keys of names in `aka`), from
+ *   one/all past `value`/s.
  * 2. `any-next-from-any-past`: to any given next `values` (by its `array` index
- *   in parent level 1), from any past `value`/s in this level 2 `array`.
+ *   or `object` key in parent level 1), from any past `value`/s in this level 2
+ *   `array`.
  *
  * The `array`s are sparse, with empty or `false`y-non-integer entries ignored.
  *
+ * Level 1 may be an `object` keyed by names of next `values` in `aka` (or their
+ * indexes in `values`); so reordering `values` keeps how they derive, e.g:
+ * `{ position: ['position', 'motion'], motion: 'motion' }`. Any such `object`
+ * with a `value` property is taken as a `derive` for all next `values` instead.
+ *
  * See `derive` for how to denote past input `values`.
  *
  * **See**
@@ -490,7 +1813,8 @@ export const mapStep = (maps, to = maps) => mapSamples(mapGroups(maps, to), to);
  */
 
 /**
- * @typedef {true|number|{value:true|number,step?:number}} derive
+ * @typedef {true|number|string|
+ *   {value:true|number|string,step?:number,offset?:[number,number]}} derive
  * Denotes any past input `values` (and optional past `step`), that next output
  * `values` derive from.
  *
@@ -503,15 +1827,27 @@ export const mapStep = (maps, to = maps) => mapSamples(mapGroups(maps, to), to);
  * The `value`/s to derive from may be given as:
  * - `true`: derives from all `values`.
  * - `number`: derives from the given `values` index.
+ * - `string`: derives from the value of the given name in `aka`.
  *
  * If given a `true` or `number` (denoting `value`/s but no `step`), the next
  * output `value` derives from the given `values` at the 1st `step` past.
  *
  * To specify a different `step`, pass an `object` denoting both the `value` (as
- * above) along with a `step`; in the form `{value:true|number,step?:number}`,
+ * above) along with a `step`; in the form `{value:true|number|string,step?}`
+ * (e.g: `{ value: 'life', step: 1 }`),
  * to derive from the `value` at any given `step` past (or the 1st `step` past
  * if not given).
  *
+ * A `step` of `-1` (`stepGot`) instead derives from the `value` already output
+ * by an earlier pass in the current `step` (a `got` state); passes are ordered
+ * so that any pass getting values runs after those it gets them from.
+ *
+ * To sample neighbouring entries (e.g: for stencils of cellular automata,
+ * diffusion, or fluids), an `object` may also denote an `offset` from the entry
+ * as `[x, y]` entries; e.g: `{ value: 'density', offset: [-1, 0] }`. Samples
+ * beyond the bounds of the data are handled by any `boundary` of the `value`.
+ * See `mapSamples` and `getBoundary`.
+ *
  * Any omitted `values` are ignored.
  *
  * See `derives` for more on how these are derived by the next output `values`.
@@ -521,4 +1857,17 @@ export const mapStep = (maps, to = maps) => mapSamples(mapGroups(maps, to), to);
  * - {@link derives}
  */
 
+/**
+ * @typedef {'clamp'|'wrap'|number} boundary
+ * Denotes how neighbour samples beyond the bounds of the data are handled:
+ * - `'clamp'`: clamped to the nearest edge entries.
+ * - `'wrap'`: wrapped around to entries at the opposite edges.
+ * - `number`: a constant value in all channels.
+ *
+ * **See**
+ *
+ * - {@link derive}
+ * - {@link getBoundary}
+ */
+
 export default mapStep;
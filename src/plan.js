@@ -0,0 +1,472 @@
+/**
+ * Planning how `gpgpu` states are stored, within the `api`'s `GL` limits.
+ *
+ * Chooses a valid configuration for the entries, values, steps, and `derives`
+ * wanted: whether states are split into `array`s of `texture`s, or merged (in
+ * rows, tiles, or layers of an array `texture`); the data's shape; and how many
+ * `texture`s each pass binds. Explains any limit that forced each choice.
+ * Estimates what a configuration costs in memory and per step. Uses no `GL`,
+ * so may be used before setting anything up. See `toData`.
+ *
+ * @module
+ * @category JS
+ */
+
+import each from '@epok.tech/fn-lists/each';
+import map from '@epok.tech/fn-lists/map';
+import reduce from '@epok.tech/fn-lists/reduce';
+
+import { mapStep, hasGots, valueChannels } from './maps';
+import { toShape, toTiles } from './size';
+import { mergeDef, fitChannels } from './data';
+import { getGLSL } from './glsl';
+import { mergeIndirect } from './step';
+
+import {
+    stepsDef, boundDef, buffersMaxDef, channelsMinDef, typeDef, depthDef,
+    stencilDef, typedArraysDef
+  } from './const';
+
+const { floor, max } = Math;
+
+/**
+ * The ways states may be stored, in order of preference if merging by default;
+ * see `mergeDef`.
+ */
+const modesMerged = ['rows', 'tiles', 'layers', 'split'];
+/**
+ * The ways states may be stored, in order of preference if split by default.
+ */
+const modesSplit = ['split', 'rows', 'tiles', 'layers'];
+
+/**
+ * The way a given `merge` stores states.
+ *
+ * @param {object|boolean} [merge] Any `merge` setting. See `toData`.
+ *
+ * @returns {'split'|'rows'|'tiles'|'layers'} The way `merge` stores states.
+ */
+const toMode = (merge) =>
+  ((!merge)? 'split'
+  : ((merge.layers)? 'layers' : ((merge.tiles)? 'tiles' : 'rows')));
+
+/**
+ * Plans how `gpgpu` states are stored, within the `api`'s `GL` limits; uses no
+ * `GL`.
+ *
+ * Maps the values (as `mapStep`), within any limit on the draw buffers bound
+ * per pass; fits the shape of the data to any number of `entries`, near-square
+ * within the maximum `texture` size; and finds how many steps fit each way of
+ * storing states. Keeps any given `merge` way, or chooses the first that fits
+ * all the `steps` in order of preference: split if `mergeDef` wouldn't merge,
+ * otherwise merged in rows, then tiles, then layers (in `GLSL3`). Integer
+ * `texture`s, and those of their own formats, can only be split.
+ *
+ * The plan is a `gpgpu` state to set up, as-is or with further settings.
+ *
+ * @example ```javascript
+ *   const maps = { values: [3, 3, 1], derives: [[0, 1], [0, 1], 2] };
+ *   const plan = toPlan(api, { entries: 1e5, steps: 40, maps });
+ *
+ *   // Given `api.limits` of `{ maxTextureSize: 4096, maxDrawbuffers: 1 }`.
+ *   plan.reasons; // =>
+ *   {
+ *     buffersMax: '`maxDrawbuffers` of 1 binds 2 `texture`s in 2 passes.',
+ *     rows: '`maxTextureSize` of 4096 fits at most 12 steps in rows, not 40.'
+ *   };
+ *
+ *   [plan.width, plan.height, plan.merge, plan.stepsMax]; // =>
+ *   [316, 317, { tiles: true }, 72];
+ *   gpgpu(api, plan);
+ * ```
+ *
+ * @see {@link data.toData}
+ * @see {@link data.mergeDef}
+ * @see {@link maps.mapStep}
+ * @see {@link size.toTiles}
+ * @see {@link gpgpu}
+ *
+ * @param {object} api The API for `GL` resources; only its limits are used.
+ * @param {object} [api.limits=api] A map of `GL` resource limits; any not
+ *   given are taken to be unlimited.
+ * @param {number} [api.limits.maxTextureSize] The maximum width or height of
+ *   any `texture`.
+ * @param {number} [api.limits.maxTextureUnits] The most `texture`s a shader
+ *   may sample; as the `states` each pass binds when split.
+ * @param {number} [api.limits.maxDrawbuffers] The most `texture`s a
+ *   `framebuffer` may bind in a single draw call.
+ * @param {number} [api.limits.maxColorAttachments] The most `texture`s a
+ *   `framebuffer` may attach.
+ * @param {number} [api.limits.maxArrayTextureLayers] The most layers of an
+ *   array `texture`; as the steps merged into layers.
+ * @param {number} [api.limits.max3DTextureSize] The maximum width, height, or
+ *   depth of any 3D `texture`; if merging into `'3d'` layers.
+ * @param {string|number} [api.limits.glsl] Any `GLSL` version available.
+ * @param {object} [state=\{\}] The configuration wanted.
+ * @param {number} [state.entries] The number of entries wanted; fits the
+ *   shape of the data to them if given, otherwise uses any shape as given.
+ *   See `toShape`.
+ * @param {object} [state.maps] How values are mapped, as `mapStep` takes;
+ *   with any `values` and `derives` wanted.
+ * @param {number|array} [state.steps=stepsDef] The steps of state wanted.
+ * @param {number} [state.bound=boundDef] How many steps are bound as outputs.
+ * @param {object|boolean} [state.merge] Any way to store states to keep, as
+ *   `toData` takes; chosen here if not given.
+ * @param {string|number} [state.glsl=api.limits.glsl] Any `GLSL` version.
+ * @param {object} [to=\{\}] An `object` to contain the plan; a new `object` if
+ *   not given.
+ *
+ * @returns {object} `to` The given `to` `object`, with the plan:
+ * @returns {object} `to.maps` How values are mapped, with any `buffersMax`
+ *   limited. See `mapStep`.
+ * @returns {number} `to.steps` The steps of state.
+ * @returns {number} `to.bound` How many steps are bound as outputs.
+ * @returns {number} `to.width` The width of the data.
+ * @returns {number} `to.height` The height of the data.
+ * @returns {object|boolean} `to.merge` How to store states: `false` if split;
+ *   otherwise merged, `true` in rows, or `{ tiles: true }` in tiles, or
+ *   `{ layers: 'array' }` in layers of an array `texture`; or as given.
+ * @returns {number} `to.stepsMax` The most steps that fit the way chosen.
+ * @returns {boolean} `to.valid` Whether the plan fits within the limits, and
+ *   its `maps` are valid; if not, the way chosen fits the most steps.
+ * @returns {object.<string,string>} `to.reasons` Any limits that forced each
+ *   choice; by the way of storing states passed over (`split`, `rows`,
+ *   `tiles`, `layers`), or by the setting limited (`merge`, `buffersMax`,
+ *   `shape`); or any problems with the `maps` (`maps`, see `mapSamples`).
+ */
+export function toPlan(api, state = {}, to = {}) {
+  const {
+      maxTextureSize: size = Infinity, maxTextureUnits: units = Infinity,
+      maxDrawbuffers, maxColorAttachments: attach = Infinity,
+      maxArrayTextureLayers = Infinity, max3DTextureSize = Infinity,
+      glsl: apiGLSL
+    } = api.limits ?? api;
+
+  const {
+      entries, maps = {}, steps = stepsDef, bound = boundDef, merge,
+      glsl = apiGLSL
+    } = state;
+
+  const reasons = to.reasons = {};
+  const stepsL = steps.length ?? steps;
+
+  /** Any `buffersMax` given or by the `api`, within its attachments. */
+  const bm = maps.buffersMax ?? maxDrawbuffers ?? buffersMaxDef;
+  const buffersMax = ((bm && (bm > attach))? attach : bm);
+
+  (buffersMax !== bm) &&
+    (reasons.buffersMax = `\`maxColorAttachments\` of ${attach} binds at `+
+      `most ${attach} \`texture\`s per pass, not ${bm}.`);
+
+  const m = to.maps = mapStep({ ...maps, buffersMax });
+  const tl = m.textures.length;
+
+  m.invalid && (reasons.maps = map(([message]) => message, m.invalid, [])
+    .join(' '));
+
+  (maps.buffersMax == null) && (m.passes.length > 1) &&
+    (reasons.buffersMax ??= `\`maxDrawbuffers\` of ${buffersMax} binds `+
+      `${tl} \`texture\`s in ${m.passes.length} passes.`);
+
+  /** Fit the shape to any `entries`, near-square within the maximum size. */
+  const [w, h] = ((entries)? toTiles(entries, 1, 1, size) : toShape(state));
+
+  ((w > size) || (h > size)) &&
+    (reasons.shape = `\`maxTextureSize\` of ${size} can't fit the data's `+
+      `shape of ${w}x${h}.`);
+
+  /** Any gutter around each merged block. */
+  const g = merge?.gutter ?? 0;
+  const bw = w+(g*2);
+  const bh = h+(g*2);
+  /** Integer `texture`s, or those of their own formats, can't be merged. */
+  const apart = !!(m.integers?.some?.((t) => t) ||
+    m.formats?.some?.((f) => f));
+
+  /** Any `texture`s got this step are bound alongside past steps if split. */
+  const gots = ((hasGots(m))? 1 : 0);
+  const glsl3 = (getGLSL(glsl) >= 3);
+  /** Layers of a 3D `texture` are limited in size and depth alike. */
+  const layers3D = (merge?.layers === '3d');
+  const ls = ((layers3D)? 'max3DTextureSize' : 'maxTextureSize');
+  const lsv = ((layers3D)? max3DTextureSize : size);
+  const ld = ((layers3D)? 'max3DTextureSize' : 'maxArrayTextureLayers');
+  const ldv = ((layers3D)? max3DTextureSize : maxArrayTextureLayers);
+
+  /**
+   * The most steps that fit each way of storing states, and the limit on them;
+   * as `[steps, limit, value]`.
+   */
+  const fit = {
+    split: [max(0, floor(units/tl)-gots+bound), 'maxTextureUnits', units],
+    rows: [((tl*bw <= size)? floor(size/bh) : 0), 'maxTextureSize', size],
+    tiles: [floor(floor(size/bw)*floor(size/bh)/tl), 'maxTextureSize', size],
+    layers: ((!glsl3)? [0, 'glsl', glsl]
+      : (((tl*bw > lsv) || (bh > lsv))? [0, ls, lsv] : [ldv, ld, ldv]))
+  };
+
+  /** Explain the limit on the steps that fit a way of storing states. */
+  const explain = (mode) => {
+    const [s, limit, value] = fit[mode];
+    const as = ((mode === 'split')? 'split' : 'in '+mode);
+
+    return reasons[mode] = ((limit === 'glsl')?
+        `\`GLSL3\` is needed to merge into layers, not \`${value}\`.`
+      : `\`${limit}\` of ${value} fits at most ${s} steps ${as}, `+
+        `not ${stepsL}.`);
+  };
+
+  /** Keep any way given; otherwise those allowed, in order of preference. */
+  const modes = ((apart)? ['split']
+    : ((merge !== undefined)? [toMode(merge)]
+    : ((mergeDef(stepsL, tl, apart))? modesMerged : modesSplit)));
+
+  (apart && (merge !== false)) &&
+    (reasons.merge = 'Integer `texture`s, or those of their own formats, '+
+      'can\'t be merged; splitting.');
+
+  /** The first way that fits all the steps. */
+  const fits = modes.find((mode) => fit[mode][0] >= stepsL);
+
+  /** Explain each way passed over. */
+  each(explain, modes.slice(0, ((fits)? modes.indexOf(fits) : modes.length)));
+
+  /** The way chosen; or the way that fits the most steps, if none fit all. */
+  const mode = fits ??
+    reduce((a, mode) => ((fit[mode][0] > fit[a][0])? mode : a), modes,
+      modes[0]);
+
+  to.steps = stepsL;
+  to.bound = bound;
+  to.width = w;
+  to.height = h;
+
+  to.merge = ((apart)? false
+    : ((merge !== undefined)? merge
+    : ((mode === 'split')? false
+    : ((mode === 'rows')? true
+    : ((mode === 'tiles')? { tiles: true } : { layers: 'array' })))));
+
+  (state.glsl != null) && (to.glsl = state.glsl);
+  to.stepsMax = fit[mode][0];
+  to.valid = (to.stepsMax >= stepsL) && !reasons.shape && !reasons.maps;
+
+  return to;
+}
+
+/**
+ * Bytes per channel of a data-`texture` of a given `type`.
+ *
+ * @param {string} type The data-`texture`'s data type.
+ *
+ * @returns {number} Bytes per channel; `2` for half-floats, as any typed
+ *   `array` of the `type` holds, otherwise `4` (e.g: `float`).
+ */
+const typeBytes = (type) =>
+  ((/half|float16/.test(type))? 2
+  : typedArraysDef()[type]?.BYTES_PER_ELEMENT ?? 4);
+
+/**
+ * Bytes per texel of any `framebuffer` depth and stencil attachments; as
+ * `DEPTH_COMPONENT16`, `STENCIL_INDEX8`, or `DEPTH_STENCIL` if both.
+ *
+ * @param {*} [depth] Any depth attachment, or whether to create one.
+ * @param {*} [stencil] Any stencil attachment, or whether to create one.
+ *
+ * @returns {number} Bytes per texel of any attachments.
+ */
+const attachBytes = (depth, stencil) =>
+  ((depth && stencil)? 4 : ((depth)? 2 : ((stencil)? 1 : 0)));
+
+/**
+ * Estimates what a `gpgpu` configuration costs, before setting it up; uses no
+ * `GL`.
+ *
+ * Counts the `texture`s and `framebuffer`s `toData` would create, and their
+ * bytes; and the draws, copies, samples, and bytes read and written per step.
+ * Takes a plan (see `toPlan`), or any state as `toData` takes or sets up; with
+ * its `maps` mapped (see `mapStep`). Bytes read count each sample of each
+ * entry, as the `GL` may cache some; and copies into any merged `texture`,
+ * except passes rendered into it directly (as `renderMerge` may; see
+ * `mergeIndirect`).
+ *
+ * @example ```javascript
+ *   const maps = { values: [3, 3, 1], derives: [[0, 1], [0, 1], 2] };
+ *   const plan = toPlan(api, { entries: 1e5, steps: 40, maps });
+ *   const estimate = toEstimate(plan);
+ *
+ *   // Reject a configuration over a memory budget ahead of time.
+ *   (estimate.bytes > 2**28) && console.error('Over budget', estimate);
+ * ```
+ *
+ * @see {@link toPlan}
+ * @see {@link data.toData}
+ * @see {@link maps.mapStep}
+ * @see {@link maps.mapCost}
+ * @see {@link step.updateMerge}
+ * @see {@link step.mergeIndirect}
+ *
+ * @param {object} state The configuration to estimate. See `toData`.
+ * @param {object} state.maps How values are mapped. See `mapStep`.
+ * @param {array.<array.<number>>} state.maps.textures Values grouped into
+ *   `texture`s.
+ * @param {array.<array.<number>>} state.maps.passes `Texture`s grouped into
+ *   passes.
+ * @param {array.<number>} state.maps.textureToPass The pass of each `texture`.
+ * @param {array.<array.<array.<number>>>} [state.maps.samples] Any samples
+ *   each pass takes. See `mapSamples`.
+ * @param {number|false} [state.maps.buffersMax=buffersMaxDef] Any `texture`s
+ *   bound as outputs per pass; no `framebuffer`s are created if `false`y.
+ * @param {number|array} [state.steps=stepsDef] The steps of state.
+ * @param {object|boolean} [state.merge] Any merging of states; in rows, or
+ *   any `tiles`, or `layers`, with any `gutter`. See `toData`.
+ * @param {object} [state.size] Any size info already set up, superseding the
+ *   shape given by `state`. See `toData`.
+ * @param {string} [state.type=typeDef] The data-`texture`s' data type.
+ * @param {*} [state.depth=depthDef] Any depth attachment of `framebuffer`s.
+ * @param {*} [state.stencil=stencilDef] Any stencil attachment of
+ *   `framebuffer`s.
+ * @param {number} [state.glsl] The `GLSL` version; `texture`s fit the channels
+ *   of their values from `GLSL3`, if not merging.
+ * @param {object|true|null} [state.clearPass] Any `clear` of each pass; if
+ *   given, no passes render into any merged `texture` directly. See `toStep`.
+ * @param {object} [to=\{\}] An `object` to contain the estimate; a new
+ *   `object` if not given.
+ *
+ * @returns {object} `to` The given `to` `object`, with the estimate:
+ * @returns {number} `to.entries` How many entries each state holds.
+ * @returns {number} `to.textures` How many data-`texture`s are created, apart
+ *   from any merged `texture`.
+ * @returns {number} `to.framebuffers` How many `framebuffer`s are created.
+ * @returns {number} `to.bytesTextures` Bytes of all the data-`texture`s.
+ * @returns {number} `to.bytesFramebuffers` Bytes of all the `framebuffer`s'
+ *   depth and stencil attachments.
+ * @returns {number} `to.bytesMerged` Bytes of any merged `texture`.
+ * @returns {number} `to.bytes` Bytes of all the above.
+ * @returns {number} `to.draws` How many draw calls are made per step.
+ * @returns {number} `to.copies` How many copies into any merged `texture` are
+ *   made per step, including any gutters.
+ * @returns {number} `to.samples` How many samples are taken per step, across
+ *   all entries.
+ * @returns {number} `to.read` Bytes read per step, by samples and copies.
+ * @returns {number} `to.written` Bytes written per step, by draws and copies.
+ */
+export function toEstimate(state, to = {}) {
+  const {
+      maps, steps = stepsDef, merge, size, type = typeDef, depth = depthDef,
+      stencil = stencilDef, glsl, clearPass
+    } = state;
+
+  const {
+      textures: texturesMap, passes: passesMap, textureToPass, samples,
+      integers, formats, buffersMax = buffersMaxDef
+    } = maps;
+
+  const stepsL = steps.length ?? steps;
+  const [w, h] = ((size)? [size.width, size.height] : toShape(state));
+  const entries = to.entries = w*h;
+  const tl = texturesMap.length;
+  const output = !!buffersMax;
+  const layers = merge?.layers;
+  /** As `toData`; `texture`s fit their values' channels in `WebGL2`. */
+  const fit = !merge && (getGLSL(glsl) >= 3);
+  const { channelsMin = ((fit)? 1 : channelsMinDef) } = maps;
+
+  /** The channels a data-`texture`'s values use. */
+  const textureChannels = (t) =>
+    reduce((sum, v) => sum+valueChannels(maps, v, t), texturesMap[t], 0);
+
+  /** The channels all a pass's `texture`s need; see `toData`. */
+  const passChannels = (pass, min) =>
+    reduce((min, t) => max(min, textureChannels(t)), pass, min);
+
+  /** The channels of any merged `texture`, and of its pool of `texture`s. */
+  const mergeChannels = merge &&
+    reduce((min, p) => passChannels(p, min), passesMap, channelsMin);
+
+  /** Each data-`texture`'s type; as `toData` creates it. */
+  const typeOf = (t) =>
+    ((integers?.[t])? integers[t]+'32' : formats?.[t]?.type ?? type);
+
+  /** Bytes per texel of each data-`texture`. */
+  const texels = map((_, t) =>
+      typeBytes(typeOf(t))*
+        ((merge)? mergeChannels
+        : ((fit)? fitChannels(max(textureChannels(t), channelsMin), typeOf(t))
+        : passChannels(passesMap[textureToPass[t]], channelsMin))),
+    texturesMap, []);
+
+  /** Bytes per texel of all data-`texture`s of a step. */
+  const stepTexels = reduce((sum, b) => sum+b, texels, 0);
+
+  /**
+   * Any merged `texture`s reuse a pool of as many as any pass binds; others
+   * have their own per-step.
+   */
+  const pool = merge &&
+    reduce((most, pass) => max(most, pass.length), passesMap, 0);
+
+  to.textures = ((merge)? pool : stepsL*tl);
+  to.bytesTextures = ((merge)? pool*texels[0] : stepsL*stepTexels)*entries;
+
+  /** Any merged `texture`'s shape, as `toData` lays it out. */
+  const g = merge?.gutter ?? 0;
+  const bw = w+(g*2);
+  const bh = h+(g*2);
+  const ms = size?.merge;
+  const tiles = merge?.tiles && !layers &&
+    (ms?.tiles ?? toTiles(tl*stepsL, bw, bh));
+
+  const mw = ms?.width ?? ((tiles)? tiles[0] : tl)*bw;
+  const mh = ms?.height ?? ((layers)? bh : ((tiles)? tiles[1] : stepsL)*bh);
+
+  to.bytesMerged = ((merge)? mw*mh*((layers)? stepsL : 1)*texels[0] : 0);
+
+  /**
+   * Each pass of each step has a `framebuffer`, if there's any output; as
+   * does copying into any merged `texture`; and rendering into it directly.
+   */
+  const fs = ((!output)? 0 : (stepsL*passesMap.length)+((merge)? 1 : 0));
+
+  to.framebuffers = fs+((output && merge?.direct)? 1 : 0);
+  to.bytesFramebuffers = fs*entries*attachBytes(depth, stencil);
+  to.bytes = to.bytesTextures+to.bytesFramebuffers+to.bytesMerged;
+
+  to.draws = passesMap.length;
+
+  /** Texels of any gutter around each merged block, copied with it. */
+  const gutters = (2*g*(w+h))+(4*g*g);
+  /** Copies of any gutter strips, and of each corner texel; see `toGutters`. */
+  const gutterCopies = (4*g)+(4*g*g);
+
+  /** What `mergeIndirect` checks of each pass, if rendering directly. */
+  const direct = merge?.direct &&
+    { maps, clearPass, size: { merge: { gutter: g } } };
+
+  /** The `texture`s copied into any merged `texture` each step. */
+  const copied = ((!(merge && output))? []
+    : reduce((copied, pass, p) =>
+        ((direct && !mergeIndirect(direct, p))? copied : copied.concat(pass)),
+      passesMap, []));
+
+  to.copies = copied.length*(1+gutterCopies);
+
+  /** Every sample of each pass, of each entry. */
+  const sampled = reduce((all, pass) => all.concat(pass ?? []), samples ?? [],
+    []);
+
+  to.samples = sampled.length*entries;
+
+  /** Bytes copied into any merged `texture`; read and written alike. */
+  const copies = reduce((sum, t) => sum+(texels[t]*(entries+gutters)), copied,
+    0);
+
+  to.read = (reduce((sum, [, t]) => sum+texels[t], sampled, 0)*entries)+
+    copies;
+
+  to.written = ((output)? stepTexels*entries : 0)+copies;
+
+  return to;
+}
+
+export default toPlan;
@@ -0,0 +1,357 @@
+/**
+ * Reading `gpgpu` states back from `GL`.
+ *
+ * Reads the data-`texture`s of any step, and unpacks their channels into one
+ * typed `array` per value, named by any `maps.aka`; the inverse of `upload`.
+ * Reads synchronously via the `api`, or asynchronously in `WebGL2` (by a pixel
+ * buffer and fence), to avoid stalling. See `toData`.
+ *
+ * @module
+ * @category JS
+ */
+
+import each from '@epok.tech/fn-lists/each';
+import map from '@epok.tech/fn-lists/map';
+import reduce from '@epok.tech/fn-lists/reduce';
+import wrap from '@epok.tech/fn-lists/wrap';
+
+import { valueChannels, valuePart } from './maps';
+import { toMergeAt } from './size';
+import { typedArraysDef, readChannelsDef, readWaitDef } from './const';
+
+const { floor, min, max } = Math;
+const { call } = Function;
+
+/**
+ * Clamps a range of entries to those of the data, as `[from, count]`; so reads
+ * don't run past the data, and any empty range reads nothing.
+ */
+const toRange = ({ size: { entries } }, from, count) => {
+  const f = min(max(from, 0), entries);
+
+  return [f, min(max(count, 0), entries-f)];
+};
+
+/**
+ * Attaches a layer of a `WebGL2` 3D or array data-`texture` to the bound
+ * `framebuffer`, by the `GL` context; as `regl`'s `framebuffer` options don't
+ * take a `layer`. Keeps any `layer` option as-is for any `api` that does.
+ */
+const attachLayer = (gl, texture, layer) =>
+  gl?.framebufferTextureLayer?.(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
+    texture._texture?.texture ?? texture, 0, layer);
+
+/** A typed `array` to read a data-`texture`'s `RGBA` pixels into. */
+const toPixels = (type, width, height) =>
+  new (typedArraysDef()[type] ?? Float32Array)(width*height*readChannelsDef);
+
+/**
+ * Unpacks the channels of a data-`texture` read back into one typed `array`
+ * per value; as `maps.textures` lays out the values, and any parts of split
+ * values. The inverse of `packTexture`.
+ *
+ * @see {@link readData}
+ * @see {@link upload.packTexture}
+ * @see {@link maps.mapGroups}
+ *
+ * @param {object} state The `gpgpu` state. See `toData`.
+ * @param {object} state.maps How values are grouped per-`texture`.
+ *   See `mapGroups`.
+ * @param {object} state.size Size info of the data. See `toData`.
+ * @param {array.<array.<object>>} state.textures Each data-`texture`'s meta
+ *   info per-step, giving its `type`. See `toData`.
+ * @param {ArrayBufferView} pixels The `RGBA` pixels read back, from the start
+ *   of the row of the first entry.
+ * @param {number} texture The index of the data-`texture` in `maps.textures`.
+ * @param {number} [from=0] The first entry read.
+ * @param {number} [count=state.size.entries-from] How many entries to unpack.
+ * @param {object} [to={}] An `object` to unpack into; a typed `array` per
+ *   value, keyed by name in any `maps.aka`, or by index in `maps.values`; any
+ *   not given are created, fit for the data-`texture`'s `type`.
+ *
+ * @returns {object} `to`, with the values' data unpacked.
+ */
+export function unpackTexture(state, pixels, texture, from = 0,
+    count = state.size.entries-from, to = {}) {
+  const { maps, size: { width: w }, textures } = state;
+  const { values, parts, aka, textures: texturesMap } = maps;
+  const { type } = textures[0][texture];
+  const Data = typedArraysDef()[type] ?? Float32Array;
+  /** Offset of the first entry into its row, where the read pixels begin. */
+  const at = from%w;
+  const rc = readChannelsDef;
+
+  reduce((c, v) => {
+      const vc = valueChannels(maps, v, texture);
+      /** Any part's offset into the channels of a value split into parts. */
+      const k = valuePart(maps, v, texture);
+      const o = ((k < 0)? 0 : reduce((o, p) => o+p, parts[v].slice(0, k), 0));
+      const vl = values[v];
+      const d = to[aka?.[v] ?? v] ??= new Data(count*vl);
+
+      for(let e = 0; e < count; ++e) {
+        for(let i = 0; i < vc; ++i) {
+          d[(e*vl)+o+i] = pixels[((at+e)*rc)+c+i];
+        }
+      }
+
+      return c+vc;
+    },
+    texturesMap[texture], 0);
+
+  return to;
+}
+
+/**
+ * Gets the area to read a step's data-`texture` from, and binds it to a
+ * `framebuffer` to read from; reusing one kept in the `state`.
+ *
+ * Reads the rows holding the given entries; of the data-`texture`, or of its
+ * part of the merged data-`texture` (at the step's row, layer, or tile).
+ * Clamps the entries to those of the data; reads no rows if there are none.
+ * Any layer to read is given for the caller to attach, as `attachLayer` does,
+ * while the `framebuffer` is bound.
+ *
+ * @see {@link readData}
+ * @see {@link data.toData}
+ *
+ * @param {object} api The API for `GL` resources.
+ * @param {framebuffer} api.framebuffer Function creating `GL` `framebuffer`s.
+ * @param {object} state The `gpgpu` state. See `toData`.
+ * @param {framebuffer} [state.reader] Any `framebuffer` already set up to read
+ *   with; updated to bind the data-`texture` to read.
+ * @param {number} step The step to read, wrapped over the steps.
+ * @param {number} texture The index of the data-`texture` in `maps.textures`.
+ * @param {number} from The first entry to read.
+ * @param {number} count How many entries to read.
+ *
+ * @returns {object} The `framebuffer` to read from, and the area to read as
+ *   `{ x, y, width, height }`; with the `texture` bound and any `layer` of it
+ *   to attach.
+ */
+export function toRead(api, state, step, texture, from, count) {
+  const { merge, maps, textures, size, reader } = state;
+  const { width: w, height: h, steps } = size;
+  const all = merge?.all;
+  const layers = merge?.layers;
+  const s = wrap(step, steps);
+
+  [from, count] = toRange(state, from, count);
+
+  const y = floor(from/w);
+  /** Any block's position in the merged data-`texture`. */
+  const [mx, my] = toMergeAt(size, texture, ((layers)? 0 : s),
+    maps.textures.length);
+
+  const t = all?.texture ?? textures[s][texture].texture;
+  const layer = ((layers)? s : undefined);
+
+  const options = {
+    color: [t], layer,
+    width: all?.width ?? w, height: all?.height ?? h,
+    depth: false, stencil: false
+  };
+
+  let f = reader ?? (state.reader = api.framebuffer(options));
+
+  /** Handle `object`s or `regl`-like extended `function`s. */
+  (f?.call !== call) && (f = f?.call);
+  reader && f.call(f, options);
+
+  return {
+    framebuffer: state.reader, texture: t, layer,
+    x: ((all)? mx : 0),
+    y: ((all)? my+y : y),
+    width: w,
+    height: ((count)? floor((from+count-1)/w)-y+1 : 0)
+  };
+}
+
+/**
+ * Reads a step of states back, unpacked into one typed `array` per value.
+ *
+ * @example ```javascript
+ *   const maps = mapGroups({ values: [2, 1], aka: ['position', 'life'] });
+ *   const state = toData(api, { maps, width: 2, height: 1, steps: 2 });
+ *
+ *   readData(api, state, 1); // =>
+ *   { position: Float32Array [x0, y0, x1, y1], life: Float32Array [l0, l1] }
+ * ```
+ *
+ * @see {@link toRead}
+ * @see {@link unpackTexture}
+ * @see {@link readDataAsync}
+ * @see {@link data.toData}
+ *
+ * @param {object} api The API for `GL` resources.
+ * @param {framebuffer} api.framebuffer Function creating `GL` `framebuffer`s.
+ * @param {read} api.read Function to read pixels from the bound `framebuffer`,
+ *   given `{ x, y, width, height, data }`; as `regl.read`.
+ * @param {WebGL2RenderingContext} [api.gl=api._gl] Any `WebGL2` context, to
+ *   attach any layer of merged data-`texture` layers to read. See `toRead`.
+ * @param {object} state The `gpgpu` state. See `toData` and `toRead`.
+ * @param {number} [step=state.stepNow] The step to read, wrapped over the
+ *   steps; the newest step by default.
+ * @param {number} [from=0] The first entry to read; clamped to the entries.
+ * @param {number} [count=state.size.entries-from] How many entries to read;
+ *   clamped to the entries after `from`, reading nothing if none.
+ * @param {object} [to={}] An `object` to unpack into. See `unpackTexture`.
+ *
+ * @returns {object} `to`, with a typed `array` per value, keyed by name in any
+ *   `maps.aka`, or by index in `maps.values`; empty if no entries are read.
+ */
+export function readData(api, state, step = state.stepNow ?? 0, from = 0,
+    count = state.size.entries-from, to = {}) {
+  const { read, gl = api._gl } = api;
+  const { maps, textures } = state;
+
+  [from, count] = toRange(state, from, count);
+
+  each((_, t) => {
+      // Nothing to read, but still give empty data.
+      if(!count) { return unpackTexture(state, null, t, from, count, to); }
+
+      const { framebuffer: f, texture, layer, x, y, width, height } =
+        toRead(api, state, step, t, from, count);
+
+      const data = toPixels(textures[0][t].type, width, height);
+
+      f.use(() => {
+        (layer != null) && attachLayer(gl, texture, layer);
+        read({ x, y, width, height, data });
+      });
+
+      unpackTexture(state, data, t, from, count, to);
+    },
+    maps.textures);
+
+  return to;
+}
+
+/**
+ * Reads pixels from the bound `framebuffer` without stalling, in `WebGL2`; into
+ * a pixel buffer, fenced to wait until `GL` is done before copying it out.
+ *
+ * @see [`MDN` `WebGL` best practices](https://developer.mozilla.org/en-US/docs/Web/API/WebGL_API/WebGL_best_practices#use_non-blocking_async_data_readback)
+ * @see {@link readDataAsync}
+ *
+ * @param {WebGL2RenderingContext} gl A `WebGL2` context.
+ * @param {number} x The left of the area to read.
+ * @param {number} y The bottom of the area to read.
+ * @param {number} width The width of the area to read.
+ * @param {number} height The height of the area to read.
+ * @param {Float32Array|Uint8Array|Int32Array|Uint32Array} to A typed `array`
+ *   to read `RGBA` pixels into; `UNSIGNED_BYTE` if a `Uint8Array`, `INT` or
+ *   `UNSIGNED_INT` (of `RGBA_INTEGER`) if an `Int32Array` or `Uint32Array`
+ *   from an integer `texture`, otherwise `FLOAT`.
+ * @param {number} [wait=readWaitDef] Time to wait between checks, in `ms`.
+ *
+ * @returns {Promise.<ArrayBufferView>} A `Promise` of `to` with the pixels
+ *   read; rejected with an `Error` if `GL` fails to wait for the read.
+ */
+export function readPixelsAsync(gl, x, y, width, height, to,
+    wait = readWaitDef) {
+  const { PIXEL_PACK_BUFFER: pack } = gl;
+  const b = gl.createBuffer();
+
+  gl.bindBuffer(pack, b);
+  gl.bufferData(pack, to.byteLength, gl.STREAM_READ);
+
+  /** Read integer `texture`s by an integer format. */
+  const int = (to instanceof Int32Array) || (to instanceof Uint32Array);
+
+  gl.readPixels(x, y, width, height, ((int)? gl.RGBA_INTEGER : gl.RGBA),
+    ((to instanceof Uint8Array)? gl.UNSIGNED_BYTE
+    : ((to instanceof Int32Array)? gl.INT
+    : ((to instanceof Uint32Array)? gl.UNSIGNED_INT : gl.FLOAT))),
+    0);
+
+  gl.bindBuffer(pack, null);
+
+  const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+
+  gl.flush();
+
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      const status = gl.clientWaitSync(sync, 0, 0);
+
+      if(status === gl.TIMEOUT_EXPIRED) { return setTimeout(check, wait); }
+
+      gl.deleteSync(sync);
+
+      if(status === gl.WAIT_FAILED) {
+        gl.deleteBuffer(b);
+
+        return reject(new Error('`readPixelsAsync`: failed to wait for `GL` '+
+          'to read.'));
+      }
+
+      gl.bindBuffer(pack, b);
+      gl.getBufferSubData(pack, 0, to);
+      gl.bindBuffer(pack, null);
+      gl.deleteBuffer(b);
+      resolve(to);
+    };
+
+    setTimeout(check, wait);
+  });
+}
+
+/**
+ * Reads a step of states back without stalling, unpacked into one typed
+ * `array` per value; in `WebGL2`, otherwise reads synchronously.
+ *
+ * @see {@link readData}
+ * @see {@link readPixelsAsync}
+ *
+ * @param {object} api The API for `GL` resources. See `readData`.
+ * @param {WebGL2RenderingContext} [api.gl=api._gl] Any `WebGL2` context to
+ *   read with; reads by `readData` if it's not `WebGL2`.
+ * @param {function} [api.poll] Any function to sync `GL` state (e.g: the bound
+ *   `framebuffer`) before reading with `api.gl`; as `regl.poll`.
+ * @param {object} state The `gpgpu` state. See `readData`.
+ * @param {number} [step=state.stepNow] The step to read. See `readData`.
+ * @param {number} [from=0] The first entry to read. See `readData`.
+ * @param {number} [count=state.size.entries-from] How many entries to read.
+ *   See `readData`.
+ * @param {object} [to={}] An `object` to unpack into. See `unpackTexture`.
+ *
+ * @returns {Promise.<object>} A `Promise` of `to`, with a typed `array` per
+ *   value; rejected if any read fails, rather than giving partial data.
+ *   See `readData` and `readPixelsAsync`.
+ */
+export function readDataAsync(api, state, step = state.stepNow ?? 0, from = 0,
+    count = state.size.entries-from, to = {}) {
+  const { gl = api._gl, poll } = api;
+  const { maps, textures } = state;
+
+  [from, count] = toRange(state, from, count);
+
+  // Nothing to wait for if there are no entries to read.
+  if(!(count && gl?.fenceSync)) {
+    return Promise.resolve(readData(api, state, step, from, count, to));
+  }
+
+  return Promise.all(map((_, t) => {
+        const { framebuffer: f, texture, layer, x, y, width, height } =
+          toRead(api, state, step, t, from, count);
+
+        const data = toPixels(textures[0][t].type, width, height);
+
+        let read;
+
+        f.use(() => {
+          poll?.();
+          (layer != null) && attachLayer(gl, texture, layer);
+          read = readPixelsAsync(gl, x, y, width, height, data);
+        });
+
+        return read.then((pixels) =>
+          unpackTexture(state, pixels, t, from, count, to));
+      },
+      maps.textures))
+    .then(() => to);
+}
+
+export default readData;
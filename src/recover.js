@@ -0,0 +1,230 @@
+/**
+ * Recovering `gpgpu` states from `GL` context loss.
+ *
+ * Opt-in; listens for the `GL` context being lost and restored via the `api`.
+ * Frees the lost resources, then sets them all up again from the state's maps
+ * and settings once restored; restores the data from any snapshot last taken,
+ * or clears (and seeds) the data otherwise. See `gpgpu`.
+ *
+ * @module
+ * @category JS
+ */
+
+import each from '@epok.tech/fn-lists/each';
+import map from '@epok.tech/fn-lists/map';
+import range from '@epok.tech/fn-lists/range';
+
+import { gpgpu } from './index';
+
+/**
+ * The properties `mapStep` derives into `maps`; dropped to map them anew from
+ * their settings. Any `packed` order (and its `cost`) is kept; mapping the same
+ * settings again gives the same one. See `mapGroups` and `mapSamples`.
+ */
+const mapsDerived = [
+  'passes', 'textures', 'valueToTexture', 'valueToPass', 'textureToPass',
+  'parts', 'valueToTextures', 'integers', 'formats', 'samples', 'reads',
+  'readsToValue', 'boundaries', 'invalid'
+];
+
+/**
+ * Resets what setting up a `gpgpu` state derived from its settings; as setup
+ * reuses any it finds (e.g: `size`, `merge.size`, mapped `maps`), to set it up
+ * anew from its settings. Keeps its current size and number of steps.
+ *
+ * @param {object} state The `gpgpu` state to reset, with its resources freed.
+ *
+ * @returns {object} The given `state`.
+ */
+function toSettings(state) {
+  const { size, maps, merge } = state;
+  const m = { ...maps };
+
+  each((k) => delete m[k], mapsDerived);
+  state.maps = m;
+  state.steps = size.steps;
+  state.width = size.width;
+  state.height = size.height;
+  merge && (state.merge = { ...merge, size: undefined });
+  delete state.size;
+
+  return state;
+}
+
+/**
+ * Listens for a `GL` context event via the `api`; by `api.on` (as `regl.on`),
+ * or by the `canvas` of any `GL` context otherwise.
+ *
+ * @param {object} api The API for `GL` resources.
+ * @param {(type:string,f:function)=>{cancel:()=>void}} [api.on] Any function to
+ *   listen for `GL` events, as `regl.on`; given `'lost'` or `'restore'`.
+ * @param {HTMLCanvasElement} [api.canvas=(api.gl ?? api._gl).canvas] Any
+ *   `canvas` to listen for `webglcontextlost` or `webglcontextrestored` on, if
+ *   there's no `api.on`.
+ * @param {'lost'|'restore'} type The type of event, as `regl.on` names it.
+ * @param {string} event The name of the `canvas` event.
+ * @param {function} f The function to call upon the event.
+ *
+ * @returns {function|null} A function to stop listening; or `null` if there's
+ *   no way to listen, for the caller to handle (as `toRecover` does).
+ */
+export function onContext(api, type, event, f) {
+  const { on, canvas = (api.gl ?? api._gl)?.canvas } = api;
+
+  if(on) {
+    const l = on(type, f);
+
+    return () => l?.cancel?.();
+  }
+  else if(!canvas?.addEventListener) { return null; }
+
+  canvas.addEventListener(event, f);
+
+  return () => canvas.removeEventListener(event, f);
+}
+
+/**
+ * Recovers a `gpgpu` state from `GL` context loss; opt-in, for a state already
+ * set up.
+ *
+ * Upon losing the context, frees all the state's resources and pauses its
+ * steps. Upon restoring the context, sets up all its `texture`s,
+ * `framebuffer`s, `command`s, and `uniforms` again from its maps and settings,
+ * at its current size and number of steps; anew, as nothing derived from them
+ * before (e.g: `size`, or mapped `maps`) is reused. Then restores its data
+ * from any snapshot last taken (by `to.takeSnapshot` or
+ * `to.takeSnapshotAsync`); or clears its data, and uploads any `seed` data,
+ * otherwise.
+ *
+ * @example ```javascript
+ *   const state = toRecover(api, gpgpu(api, { maps, steps: 2 }));
+ *
+ *   state.onRestore = (state, snapshot) => console.log('restored', snapshot);
+ *   // Snapshot the data now and then, to restore from if the context's lost.
+ *   state.takeSnapshotAsync();
+ * ```
+ *
+ * @see {@link onContext}
+ * @see {@link gpgpu}
+ * @see {@link data.toData}
+ * @see {@link step.toStep}
+ *
+ * @param {object} api The API for `GL` resources. See `onContext` and `gpgpu`.
+ * @param {object} state The `gpgpu` state to recover. See `gpgpu`.
+ * @param {object} [state.seed] Any data to upload once restored, if there's no
+ *   snapshot; per value, as `to.upload` takes. See `uploadData`.
+ * @param {(state:object)=>void} [state.onLost] Any callback once the context's
+ *   lost, and the state's resources freed; e.g: to give any custom `positions`
+ *   or other `GL` resources of the state again, as data to set up once
+ *   restored.
+ * @param {(state:object,snapshot?:object)=>void} [state.onRestore] Any
+ *   callback once the context's restored, and the state set up again; with any
+ *   snapshot restored.
+ * @param {(api:object,state:object)=>object} [setup=gpgpu] The function
+ *   setting up the state's resources; to set them up again once restored.
+ * @param {object} [to=state] The `object` to set up. Modifies the given `state`
+ *   object by default.
+ *
+ * @returns {object} `to` The given `to` `object`; set up to recover from
+ *   context loss.
+ * @returns {boolean} `to.lost` Whether the context is lost; steps do nothing
+ *   while it is.
+ * @returns {object|undefined} `[to.snapshot]` Any snapshot last taken, to
+ *   restore the data from; as `{ stepNow, steps }`, with the data read back
+ *   per step (as `to.read` gives). Set `null` to restore without it.
+ * @returns {function} `to.takeSnapshot` Reads all steps back into a new
+ *   `to.snapshot`. See `readData`.
+ * @returns {function} `to.takeSnapshotAsync` As `to.takeSnapshot`, but gives a
+ *   `Promise`; without stalling in `WebGL2`. See `readDataAsync`.
+ * @returns {function} `to.destroy` As the state's `destroy`, but also stops
+ *   listening for context events.
+ * @returns {string|undefined} `[to.reasons.context]` Notes if there's no way
+ *   to listen for context events, so the state can't recover; rather than
+ *   logging it. See `onContext`, and `reasons` in `toData`.
+ */
+export function toRecover(api, state, setup = gpgpu, to = state) {
+  /** The state's own functions, kept as they're wrapped here. */
+  let step;
+  let destroy;
+
+  /** Wrap the state's own functions; again each time it's set up. */
+  const wrap = () => {
+    ({ step, destroy } = to);
+
+    /** Pause steps while the context is lost. */
+    to.step = (state = to) => ((state.lost)? state : step(state));
+
+    /** Stop listening for context events once destroyed. */
+    to.destroy = (state = to) => {
+      offLost?.();
+      offRestore?.();
+
+      return destroy(state);
+    };
+  };
+
+  /** Free the lost resources; allow the context to be restored. */
+  const lost = (e) => {
+    e?.preventDefault?.();
+
+    if(to.lost) { return; }
+
+    to.lost = true;
+    destroy(to);
+    to.onLost?.(to);
+  };
+
+  /** Set up the resources again; restore or clear the data. */
+  const restore = () => {
+    if(!to.lost) { return; }
+
+    const { snapshot, seed } = to;
+
+    setup(api, toSettings(to));
+    wrap();
+    to.lost = false;
+
+    if(snapshot) {
+      to.stepNow = snapshot.stepNow;
+      each((data, s) => to.upload(data, s), snapshot.steps);
+    }
+    else {
+      to.clear(to);
+      (seed != null) && to.upload(seed);
+    }
+
+    to.onRestore?.(to, snapshot);
+  };
+
+  const offLost = onContext(api, 'lost', 'webglcontextlost', lost);
+  const offRestore = onContext(api, 'restore', 'webglcontextrestored', restore);
+
+  ((offLost && offRestore)? delete to.reasons?.context
+  : (to.reasons ??= {}).context = '`toRecover`: no way to listen for the `GL` '+
+      'context being lost or restored; can\'t recover from context loss.');
+
+  to.lost = false;
+
+  /** Read all steps back, to restore from if the context is lost. */
+  to.takeSnapshot = (state = to) => {
+    const { stepNow, size } = state;
+
+    return state.snapshot = {
+      stepNow, steps: map((_, s) => state.read(s), range(size.steps))
+    };
+  };
+
+  /** Read all steps back without stalling in `WebGL2`; see `takeSnapshot`. */
+  to.takeSnapshotAsync = (state = to) => {
+    const { stepNow, size } = state;
+
+    return Promise.all(map((_, s) => state.readAsync(s), range(size.steps)))
+      .then((steps) => state.snapshot = { stepNow, steps });
+  };
+
+  wrap();
+
+  return to;
+}
+
+export default toRecover;
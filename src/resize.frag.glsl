@@ -0,0 +1,56 @@
+/**
+ * Redraws data from one shape into another, keeping its contents.
+ *
+ * Data may be laid out in blocks of the same shape (e.g: merged as
+ * `[texture, step]`), each redrawn into its own block of the new shape.
+ * Keeps each entry by its index by default (`fit_keep`), reflowing rows to the
+ * new width; or by its texel (`fit_crop`); padding any new entries with `fill`.
+ * Otherwise resamples the data to the new shape (`fit_resample`).
+ *
+ * Uses the default prefix namespace; replaced with any given prefix if this
+ * shader's used during `toData`'s `resize`.
+ *
+ * @see {@link resize.getFitPass}
+ * @see {@link data.toData}
+ * @see {@link const.preDef}
+ */
+
+precision highp float;
+
+/** The data to redraw. */
+uniform sampler2D gpgpu_from;
+/** The shape of each block of the data to redraw, `[width, height]`. */
+uniform vec2 gpgpu_fromShape;
+/** The new shape of each block of data, `[width, height]`. */
+uniform vec2 gpgpu_toShape;
+/** How many blocks of data there are, `[x, y]`. */
+uniform vec2 gpgpu_blocks;
+/** The value to pad any new entries with. */
+uniform vec4 gpgpu_fill;
+
+void main() {
+  vec2 texel = floor(gl_FragCoord.xy);
+  vec2 block = floor(texel/gpgpu_toShape);
+
+  // The texel within its block.
+  texel -= block*gpgpu_toShape;
+
+  #ifdef gpgpu_fit_resample
+    gl_FragColor = texture2D(gpgpu_from,
+      (block+((texel+0.5)/gpgpu_toShape))/gpgpu_blocks);
+  #else
+    #ifdef gpgpu_fit_crop
+      // Keep each entry at the same texel.
+      vec2 at = texel;
+    #else
+      // Keep each entry at the same index.
+      float index = texel.x+(texel.y*gpgpu_toShape.x);
+      float y = floor((index+0.5)/gpgpu_fromShape.x);
+      vec2 at = vec2(index-(y*gpgpu_fromShape.x), y);
+    #endif
+
+    gl_FragColor = ((all(lessThan(at, gpgpu_fromShape)))?
+        texture2D(gpgpu_from, (block+((at+0.5)/gpgpu_fromShape))/gpgpu_blocks)
+      : gpgpu_fill);
+  #endif
+}
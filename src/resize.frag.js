@@ -0,0 +1,17 @@
+/**
+ * `./resize.frag.glsl` transformed via `glslify`.
+ *
+ * @module resize.frag.glsl
+ * @category GLSL
+ */
+import transformed from './resize.frag.glsl';
+
+/**
+ * `./resize.frag.glsl` transformed via `glslify`.
+ *
+ * @type {string}
+ * @category GLSL
+ */
+export const glsl = transformed;
+
+export default glsl;
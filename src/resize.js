@@ -0,0 +1,274 @@
+/**
+ * Resizing `gpgpu` data resources, while keeping their contents.
+ *
+ * Redraws each data-`texture` into a temporary one of the new shape, to copy
+ * back once the data-`texture` is resized; keeping each entry by its index by
+ * default, or by its texel, or resampling; padding any new entries with a
+ * `fill` value. Copies rows or layers as-is to reorder them, such as steps of
+ * merged data when the number of `steps` changes. See `toData`.
+ *
+ * @module
+ * @category JS
+ */
+
+import each from '@epok.tech/fn-lists/each';
+
+import {
+    vertDef, fitFragDef, preDef, preRxDef, positionsDef, countDef, fitDef,
+    fillDef, copyImageDef
+  } from './const';
+
+const { call } = Function;
+
+/**
+ * Gets a `command` to redraw data from one shape into another; created via the
+ * `api` upon first use, and kept in the `state` (with its `positions` buffer,
+ * as `state.fitPositions`).
+ *
+ * @see {@link fitTexture}
+ * @see {@link const.fitFragDef}
+ * @see {@link api.command}
+ *
+ * @param {object} api The API for `GL` resources.
+ * @param {buffer} api.buffer Function to set up a `GL` buffer.
+ * @param {command} [api.command=api] Function to create a `GL` render pass,
+ *   given options, to be called later with options; `api` if not given.
+ * @param {object} state The `gpgpu` state.
+ * @param {string} [state.pre=preDef] The namespace prefix; `preDef` by default.
+ * @param {number[]|buffer} [state.positions=positionsDef()] Any position
+ *   `attribute`s to draw with; see `toStep`.
+ * @param {number} [state.count=countDef] Any `number` of elements to draw.
+ * @param {command} [state.fitPass] Any `command` already set up, to use as-is.
+ *
+ * @returns {command|null} A `command` to redraw data into a new shape, given
+ *   `{ framebuffer, from, fromShape, toShape, blocks, fill, fit }` options; or
+ *   `null` if the `api` can't create one.
+ */
+export function getFitPass(api, state) {
+  /** Handle `object`s or `regl`-like extended `function`s, for `command`. */
+  const { buffer, command = api } = api;
+
+  if(state.fitPass) { return state.fitPass; }
+  else if(!((command?.call === call) && buffer)) { return null; }
+
+  const {
+      pre: n = preDef, positions = positionsDef(), count = countDef
+    } = state;
+
+  const frag = fitFragDef.replaceAll(preRxDef, n || '');
+
+  return state.fitPass = command({
+    vert: vertDef.replaceAll(preRxDef, n || ''),
+    /** Defines the way to keep data's contents; see `fitDef`. */
+    frag: (_, { fit }) => `#define ${n}fit_${fit}\n`+frag,
+    framebuffer: (_, { framebuffer }) => framebuffer,
+    count,
+    uniforms: {
+      [n+'from']: (_, { from }) => from,
+      [n+'fromShape']: (_, { fromShape }) => fromShape,
+      [n+'toShape']: (_, { toShape }) => toShape,
+      [n+'blocks']: (_, { blocks }) => blocks,
+      [n+'fill']: (_, { fill }) => fill
+    },
+    attributes: { [n+'position']: state.fitPositions = buffer(positions) },
+    depth: { enable: false },
+    blend: { enable: false }
+  });
+}
+
+/**
+ * Redraws a data-`texture` into a temporary one of a new shape, to copy back
+ * once the data-`texture` is resized; see `fitBack`.
+ *
+ * Any blocks of data (e.g: merged as `[texture, step]`) are each redrawn into
+ * their own block of the new shape.
+ *
+ * @see {@link getFitPass}
+ * @see {@link fitBack}
+ * @see {@link data.toData}
+ *
+ * @param {object} api The API for `GL` resources.
+ * @param {texture} api.texture Function creating `GL` `texture`s.
+ * @param {framebuffer} api.framebuffer Function creating `GL` `framebuffer`s.
+ * @param {object} state The `gpgpu` state. See `getFitPass`.
+ * @param {'keep'|'crop'|'resample'} [state.fit=fitDef] How to keep the data's
+ *   contents: each entry by its index (reflowing rows to the new width); or
+ *   each entry by its texel; or resampling the data to the new shape.
+ * @param {number[]} [state.fill=fillDef()] The value to pad new entries with.
+ * @param {object} from The data-`texture` and its meta info; see `toData`.
+ * @param {texture} from.texture The data-`texture` to redraw.
+ * @param {number} from.width The width of the data-`texture`.
+ * @param {number} from.height The height of the data-`texture`.
+ * @param {number[]} shape The new shape of each block of data, as
+ *   `[width, height]`.
+ * @param {number[]} [blocks=[1, 1]] How many blocks of data there are, along
+ *   each axis.
+ *
+ * @returns {object|null} The temporary `texture` and `framebuffer` holding the
+ *   redrawn data, to copy back from; or `null` if it can't be redrawn. An
+ *   integer `texture` can't be (the redraw can't output it), noted in
+ *   `state.reasons.fit` rather than logged; see `data.toData`.
+ */
+export function fitTexture(api, state, from, shape, blocks = [1, 1]) {
+  const pass = getFitPass(api, state);
+
+  if(!pass) { return null; }
+  else if(from.integer) {
+    (state.reasons ??= {}).fit = 'Integer `texture`s can\'t be redrawn, so '+
+      'their contents weren\'t kept upon resizing.';
+
+    return null;
+  }
+
+  const { texture, framebuffer } = api;
+  const { fit = fitDef, fill = fillDef() } = state;
+  const { channels, type, min, mag, wrap, width: fw, height: fh } = from;
+  const [w, h] = shape;
+  const [bx, by] = blocks;
+  const width = w*bx;
+  const height = h*by;
+  const t = texture({ channels, type, min, mag, wrap, width, height });
+
+  const to = {
+    texture: t,
+    framebuffer:
+      framebuffer({ color: [t], width, height, depth: false, stencil: false })
+  };
+
+  pass({
+    framebuffer: to.framebuffer, from: from.texture,
+    fromShape: [fw/bx, fh/by], toShape: [w, h], blocks, fill, fit
+  });
+
+  return to;
+}
+
+/**
+ * Copies rows of a data-`texture`, or of a layer of it, or any area of those
+ * rows, into a temporary `texture`; to copy back into place later, see
+ * `fitBack`.
+ *
+ * @see {@link fitBack}
+ * @see {@link data.toData}
+ *
+ * @param {object} api The API for `GL` resources. See `fitTexture`.
+ * @param {object} from The data-`texture` and its meta info. See `fitTexture`.
+ * @param {number} [y=0] The first row of the data-`texture` to copy.
+ * @param {number} [height=from.height] How many rows to copy.
+ * @param {number} [layer] Any layer of a `WebGL2` 3D or array data-`texture`
+ *   to copy from.
+ * @param {number} [x=0] The first column of the data-`texture` to copy.
+ * @param {number} [width=from.width] How many columns to copy.
+ *
+ * @returns {object|null} The temporary `texture` and `framebuffer` holding the
+ *   copied data; or `null` if it can't be copied.
+ */
+export function copyTexture(api, from, y = 0, height = from.height, layer,
+    x = 0, width = from.width) {
+  const { texture, framebuffer } = api;
+
+  if(!(texture && framebuffer)) { return null; }
+
+  const { channels, type, integer, min, mag, wrap, width: fw, height: fh } =
+    from;
+
+  const t = texture({ channels, type, integer, min, mag, wrap, width, height });
+
+  const f = framebuffer({
+    color: [from.texture], layer, width: fw, height: fh,
+    depth: false, stencil: false
+  });
+
+  f.use(() => t.subimage({ ...copyImageDef(), x, y, width, height }, 0, 0));
+  f.destroy?.();
+
+  return {
+    texture: t,
+    framebuffer:
+      framebuffer({ color: [t], width, height, depth: false, stencil: false })
+  };
+}
+
+/**
+ * Redraws a layer of a `WebGL2` 3D or array data-`texture` into a temporary
+ * `texture` of a new shape; copied out into a 2D `texture` to redraw from.
+ *
+ * @see {@link fitTexture}
+ * @see {@link copyTexture}
+ * @see {@link fitBack}
+ *
+ * @param {object} api The API for `GL` resources. See `fitTexture`.
+ * @param {object} state The `gpgpu` state. See `fitTexture`.
+ * @param {object} from The layered data-`texture` and its meta info.
+ *   See `fitTexture`.
+ * @param {number} layer The layer of the data-`texture` to redraw.
+ * @param {number[]} shape The new shape of each block of data. See
+ *   `fitTexture`.
+ * @param {number[]} [blocks] How many blocks of data there are. See
+ *   `fitTexture`.
+ *
+ * @returns {object|null} The temporary `texture` and `framebuffer` holding the
+ *   redrawn data, to copy back from; or `null` if it can't be redrawn.
+ */
+export function fitLayer(api, state, from, layer, shape, blocks) {
+  if(!getFitPass(api, state)) { return null; }
+
+  const copy = copyTexture(api, from, 0, from.height, layer);
+
+  const to = fitTexture(api, state, { ...from, texture: copy.texture }, shape,
+    blocks);
+
+  copy.texture.destroy?.();
+  copy.framebuffer.destroy?.();
+
+  return to;
+}
+
+/**
+ * Copies redrawn or copied data back into its resized data-`texture`, or a
+ * layer of it; and into any gutter around it, clamping its edge texels; then
+ * frees the temporary resources.
+ *
+ * @see {@link fitTexture}
+ * @see {@link fitLayer}
+ * @see {@link copyTexture}
+ * @see {@link size.toGutters}
+ *
+ * @param {object} [fitted] Any temporary `texture` and `framebuffer` holding
+ *   the redrawn data; does nothing if not given.
+ * @param {object} into The resized data-`texture` and its meta info.
+ * @param {texture} into.texture The data-`texture` to copy into.
+ * @param {number} [layer] Any layer of a `WebGL2` 3D or array data-`texture`
+ *   to copy into.
+ * @param {number} [y=0] The row of the data-`texture` to copy into.
+ * @param {number} [x=0] The column of the data-`texture` to copy into.
+ * @param {array.<array.<number>>} [gutters] Any areas of gutter around the
+ *   copied block to fill by clamping its edge texels, from the redrawn data;
+ *   as `size.toGutters` gives.
+ *
+ * @returns {object} The data-`texture` and its meta info, `into`.
+ */
+export function fitBack(fitted, into, layer, y = 0, x = 0, gutters) {
+  if(!fitted) { return into; }
+
+  const { texture: t, framebuffer: f } = fitted;
+  const { texture: to } = into;
+  const ci = copyImageDef();
+
+  /** Copy an area of the redrawn data to an offset in the data-`texture`. */
+  const copy = (c, cx, cy) =>
+    ((layer == null)? to.subimage(c, cx, cy) : to.subimage(c, cx, cy, layer));
+
+  f.use(() => {
+    copy(ci, x, y);
+
+    gutters && each(([gx, gy, width, height, tx, ty]) =>
+        copy({ ...ci, x: gx, y: gy, width, height }, x+tx, y+ty),
+      gutters);
+  });
+
+  t.destroy?.();
+  f.destroy?.();
+
+  return into;
+}
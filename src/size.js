@@ -3,12 +3,14 @@
  * @category JS
  */
 
+import each from '@epok.tech/fn-lists/each';
 import map from '@epok.tech/fn-lists/map';
 import range from '@epok.tech/fn-lists/range';
+import reduce from '@epok.tech/fn-lists/reduce';
 
 import { widthDef, heightDef } from './const';
 
-const { floor } = Math;
+const { floor, ceil, sqrt, round, min, max } = Math;
 const { isFinite, isInteger } = Number;
 
 /**
@@ -115,3 +117,95 @@ export function toShape(value, to = []) {
 
   return to;
 }
+
+/**
+ * Gives a grid of tiles to lay out blocks of data in; near-square, within any
+ * maximum size. Lays out more rows than fit if the blocks can't all fit.
+ *
+ * @see {@link toMergeAt}
+ * @see {@link data.toData}
+ *
+ * @param {number} blocks How many blocks of data to lay out.
+ * @param {number} width The width of each block.
+ * @param {number} height The height of each block.
+ * @param {number} [size=Infinity] Any maximum width or height of the grid.
+ *
+ * @returns {array.<number>} The grid of tiles, as `[columns, rows]`.
+ */
+export function toTiles(blocks, width, height, size = Infinity) {
+  /** As many columns as make the grid near-square, within the maximum. */
+  const c = max(1,
+    min(blocks, floor(size/width), round(sqrt(blocks*height/width))));
+
+  return [c, ceil(blocks/c)];
+}
+
+/**
+ * Gives the position of a data-`texture`'s block of a step in merged data, in
+ * texels; along `[texture, step]` axes, or in any grid of tiles, in rows of
+ * `[texture, step]` blocks (as `toTiles` gives). Any gutter around each block
+ * pads it on all sides, the position given being inside it.
+ *
+ * @see {@link toTiles}
+ * @see {@link data.toData}
+ *
+ * @param {object} size Size info of the data. See `toData`.
+ * @param {number} size.width The width of each block.
+ * @param {number} size.height The height of each block.
+ * @param {object} [size.merge] Any size info of the merged data.
+ * @param {array.<number>} [size.merge.tiles] Any grid of tiles the merged data
+ *   is laid out in, as `[columns, rows]`.
+ * @param {number} [size.merge.gutter] Any texels of gutter around each block.
+ * @param {number} texture The index of the data-`texture`.
+ * @param {number} step The row of the step, wrapped over the steps; `0` if
+ *   merging into layers.
+ * @param {number} textures How many data-`texture`s there are per step.
+ *
+ * @returns {array.<number>} The position of the block, as `[x, y]`.
+ */
+export function toMergeAt(size, texture, step, textures) {
+  const { width: w, height: h, merge } = size;
+  const c = merge?.tiles?.[0];
+  const g = merge?.gutter ?? 0;
+  /** Each block's size, with any gutter. */
+  const bw = w+(g*2);
+  const bh = h+(g*2);
+  const b = (step*textures)+texture;
+
+  return ((c)? [((b%c)*bw)+g, (floor(b/c)*bh)+g]
+    : [(texture*bw)+g, (step*bh)+g]);
+}
+
+/**
+ * The areas of gutter around a block of the merged `texture`, to fill by
+ * clamping the block's edge texels; each edge at each depth into the gutter,
+ * and each corner texel into each texel of each corner.
+ *
+ * @see {@link step.updateMerge}
+ * @see {@link upload.uploadData}
+ *
+ * @param {number} w The width of the block.
+ * @param {number} h The height of the block.
+ * @param {number} g The texels of gutter around the block.
+ *
+ * @returns {array.<array.<number>>} Each area to copy from the block, and the
+ *   offset to copy it to, relative to the block; as
+ *   `[x, y, width, height, toX, toY]`.
+ */
+export const toGutters = (w, h, g) => reduce((to, _, d) => {
+    const i = d+1;
+
+    to.push([0, 0, 1, h, -i, 0], [w-1, 0, 1, h, w-1+i, 0],
+      [0, 0, w, 1, 0, -i], [0, h-1, w, 1, 0, h-1+i]);
+
+    each((_, e) => {
+        const j = e+1;
+
+        to.push([0, 0, 1, 1, -i, -j], [w-1, 0, 1, 1, w-1+i, -j],
+          [0, h-1, 1, 1, -i, h-1+j], [w-1, h-1, 1, 1, w-1+i, h-1+j]);
+      },
+      range(g));
+
+    return to;
+  },
+  range(g), []);
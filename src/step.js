@@ -11,13 +11,16 @@
  */
 
 import each from '@epok.tech/fn-lists/each';
+import reduce from '@epok.tech/fn-lists/reduce';
 import wrap from '@epok.tech/fn-lists/wrap';
+import range from '@epok.tech/fn-lists/range';
 
-import { macroPass } from './macros';
+import { macroPass, clearCache } from './macros';
+import { toMergeAt, toGutters } from './size';
 
 import {
     vertDef, preDef, preRxDef, positionsDef, countDef, stepMaxDef,
-    copyImageDef, clearPassDef
+    copyImageDef, clearPassDef, versionRx
   } from './const';
 
 const { call } = Function;
@@ -52,12 +55,35 @@ export const getPass = ({ passes: ps, stepNow: s, passNow: p }) =>
 export const toShader = (shader, context, state) =>
   ((shader.call === call)? shader(context, state) : shader);
 
+/**
+ * Prepends macros to a shader, after any `#version` directive leading it.
+ *
+ * `GLSL3` shaders must begin with their `#version` directive, so any macros
+ * (e.g: the outputs declared by `macroOutput`) go after it.
+ *
+ * @see {@link const.versionRx}
+ * @see {@link macros.macroPass}
+ *
+ * @param {string} macros The macros to prepend to the `shader`.
+ * @param {string} shader The `shader`, which may begin with `#version`.
+ *
+ * @returns {string} The `shader` with the `macros` after any `#version`.
+ */
+export function toMacroShader(macros, shader) {
+  const version = shader.match(versionRx)?.[0] ?? '';
+
+  return version+macros+shader.slice(version.length);
+}
+
 /**
  * Merged `texture` update, called upon each pass.
  *
  * Copies the active pass's output into the merged `texture`, from each of its
  * `framebuffer` attachments one by one (to support multiple draw buffers).
- * Matches the lookup logic defined in `macroTaps`.
+ * Copies into the step's row of the merged `texture`; or into the step's layer,
+ * if merging into layers. Matches the lookup logic defined in `macroTaps`.
+ * Fills any gutter around each block by clamping its edge texels; see
+ * `toGutters`.
  *
  * @todo Update docs.
  *
@@ -76,6 +102,12 @@ export const toShader = (shader, context, state) =>
  *   - `map`: `array` of `number`s, showing how the `texture`s are grouped
  *     per-pass. See `getPass`, `toData`, and `mapGroups`.
  * @param {merge} state.merge The merged `texture` to update.
+ * @param {'array'|'3d'|true} [state.merge.layers] Any layers states are merged
+ *   into, one per step. See `toData`.
+ * @param {object} state.maps How values are grouped per-`texture` per-pass
+ *   per-step. See `mapGroups`.
+ * @param {object} state.size Size info of the data, with any grid of `tiles`
+ *   and any `gutter` of the merged `texture`. See `toData` and `toMergeAt`.
  * @param {number} [state.stepNow] The currently active state step, if any.
  *
  * @returns {texture} The merged `texture`, updated by the active pass's output;
@@ -83,12 +115,12 @@ export const toShader = (shader, context, state) =>
  */
 export function updateMerge(state) {
   const {
-      merge, stepNow: s, size,
+      merge, maps, stepNow: s, size,
       copyImage: ci = state.copyImage = copyImageDef()
     } = state;
 
   const { color: cs, map: pass } = getPass(state);
-  const { all: { texture: t }, next } = merge;
+  const { all: { texture: t }, next, layers } = merge;
   const sub = t?.subimage;
   const { color: nc } = next;
   let f = next.framebuffer;
@@ -99,17 +131,36 @@ export function updateMerge(state) {
   // Silent exit if there's not enough info ready now to perform the update.
   if(!(sub && f && cs && pass && (s || (s === 0)))) { return t; }
 
-  const { steps: sl, width: w, height: h } = size;
-  /** Start at the top of the `texture`, move down row-per-step and wrap. */
-  const y = wrap(s, sl)*h;
+  const tl = maps.textures.length;
+  /**
+   * Start at the top of the `texture`, move down row-per-step and wrap; or
+   * layer-per-step if merging into layers; or tile-per-block if tiling.
+   */
+  const l = wrap(s, size.steps);
+  const g = size.merge?.gutter;
+  /** Any gutter around each block, to clamp its edge texels into. */
+  const gs = (g > 0) && toGutters(size.width, size.height, g);
+
+  /** Copy an area of the bound `texture` to an offset in the merged one. */
+  const copy = (c, x, y) =>
+    ((layers)? sub.call(t, c, x, y, l) : sub.call(t, c, x, y));
 
   /**
    * Reusable `framebuffer` binds and copies each of the pass `texture`s along
-   * the merged `texture`.
+   * the merged `texture`; and any of their edges into their gutters.
    */
-  each((c, i) =>
-    (next.color = c) &&
-      f.call(f, next).use.call(f, () => sub.call(t, ci, pass[i]*w, y)),
+  each((c, i) => {
+      const [x, y] = toMergeAt(size, pass[i], ((layers)? 0 : l), tl);
+
+      (next.color = c) &&
+        f.call(f, next).use.call(f, () => {
+          copy(ci, x, y);
+
+          gs && each(([gx, gy, width, height, tx, ty]) =>
+              copy({ ...ci, x: gx, y: gy, width, height }, x+tx, y+ty),
+            gs);
+        });
+    },
     cs);
 
   /** Reset any changed properties. */
@@ -119,10 +170,117 @@ export function updateMerge(state) {
   return t;
 }
 
+/**
+ * Any reason the given pass can't render straight into the merged `texture`,
+ * or `''` if it can. See `renderMerge`.
+ *
+ * @param {object} state A `gpgpu` state. See `renderMerge`.
+ * @param {object} state.maps How values are grouped per-`texture` per-pass
+ *   per-step. See `mapGroups`.
+ * @param {object} [state.size] Size info of the data. See `toData`.
+ * @param {object|true|null} [state.clearPass] Any `clear` of each pass; passes
+ *   can't render directly if it's `true`y.
+ * @param {number} p The index of the pass.
+ *
+ * @returns {string} Why the pass can't render directly, or `''` if it can.
+ */
+export const mergeIndirect = ({ maps, size, clearPass }, p) =>
+  ((maps.passes[p]?.length !== 1)? 'binds more than one `texture`'
+  : ((maps.samples?.[p]?.length)? 'samples states'
+  : ((clearPass)? 'is cleared first'
+  : ((size?.merge?.gutter > 0)? 'merges with a gutter' : ''))));
+
+/**
+ * Merged `texture` render, called upon each pass in place of `updateMerge`.
+ *
+ * Renders the active pass straight into its region of the merged `texture`,
+ * rather than into its own `texture`s to copy from after; via a `framebuffer`
+ * wrapping the merged `texture` (at the step's layer, if merging into layers),
+ * and a `viewport` and `scissor` box at the pass's column and the step's row.
+ * Matches the lookup logic defined in `macroTaps`.
+ *
+ * Renders only passes it can, otherwise leaves them to render and copy as
+ * usual: passes binding one `texture`, as one `viewport` can't place multiple
+ * draw buffers apart; sampling no states (by `maps.samples`), as `GL` forbids
+ * sampling a `texture` while rendering into it; and not cleared first, which
+ * would clear all the merged `texture`. Renders no passes if the merged
+ * `texture` has any gutter, which couldn't be filled from itself.
+ *
+ * Note that `gl_FragCoord` is offset by the box's position in passes rendered
+ * this way.
+ *
+ * @see {@link updateMerge}
+ * @see {@link getPass}
+ * @see {@link data.toData}
+ * @see {@link macros.macroTaps}
+ *
+ * @param {object} state A `gpgpu` state of the active pass.
+ * @param {object} state.merge The merged `texture` to render into.
+ * @param {boolean} [state.merge.direct] Whether to render into the merged
+ *   `texture` directly; does nothing if `false`y.
+ * @param {object} [state.merge.into] The `framebuffer` wrapping the merged
+ *   `texture`, with its meta info; rebound as needed. See `toData`.
+ * @param {'array'|'3d'|true} [state.merge.layers] Any layers states are merged
+ *   into, one per step. See `toData`.
+ * @param {object} state.maps How values are grouped per-`texture` per-pass
+ *   per-step. See `mapGroups`.
+ * @param {object} state.size Size info of the data; passes aren't rendered
+ *   directly if there's any `size.merge.gutter`. See `toData`.
+ * @param {object} [state.clearPass] Any `clear` of each pass; if given, passes
+ *   aren't rendered directly.
+ * @param {number} [state.stepNow] The currently active state step, if any.
+ * @param {number} [state.passNow] The currently active draw pass, if any.
+ * @param {command} render The `command` to render the pass; given the `state`,
+ *   with `state.merge.box` set to the region to render into.
+ *
+ * @returns {boolean} Whether the pass was rendered into the merged `texture`;
+ *   if not, it's left to be rendered and copied as usual.
+ */
+export function renderMerge(state, render) {
+  const { merge, maps, size, stepNow: s, passNow: p } = state;
+  const { direct, all, into, layers } = merge;
+  const t = all?.texture;
+  const pass = getPass(state)?.map;
+  let f = into?.framebuffer;
+
+  /** Handle `object`s or `regl`-like extended `function`s. */
+  (f?.call !== call) && (f = f?.call);
+
+  if(!(direct && t && f && render && pass && !mergeIndirect(state, p) &&
+      (s || (s === 0)))) {
+    return false;
+  }
+
+  const { width: w, height: h } = size;
+  const { width: aw, height: ah } = all;
+  /** The step's row, layer, or tile; as `updateMerge`. */
+  const l = wrap(s, size.steps);
+  const layer = ((layers)? l : undefined);
+  const [x, y] =
+    toMergeAt(size, pass[0], ((layers)? 0 : l), maps.textures.length);
+
+  /** Rebind the merged `texture` if it's changed, resized, or moved layer. */
+  if((into.color?.[0] !== t) || (into.width !== aw) || (into.height !== ah) ||
+      (into.layer !== layer)) {
+    into.color = [t];
+    into.layer = layer;
+    into.width = aw;
+    into.height = ah;
+    f.call(f, into);
+  }
+
+  merge.box = { x, y, width: w, height: h };
+  render(state);
+  /** Reset any changed properties. */
+  merge.box = null;
+
+  return true;
+}
+
 export function clearMerge(state) {
   const { merge, clearPass: c = state.clearPass = clearPassDef() } = state;
-  const { all: { texture: t }, next } = merge;
-  const { color: nc } = next;
+  const { all: { texture: t, depth: d }, next, layers } = merge;
+  const { color: nc, layer: nl } = next;
   let f = next.framebuffer;
 
   /** Handle `object`s or `regl`-like extended `function`s. */
@@ -132,10 +290,18 @@ export function clearMerge(state) {
 
   const cf = c.framebuffer;
 
-  (next.color = t) && (c.framebuffer = f.call(f, next)) && clear(c);
+  /** Clear the merged `texture`, or any given layer of it. */
+  const clearLayer = (layer) => {
+    next.layer = layer;
+    (next.color = t) && (c.framebuffer = f.call(f, next)) && clear(c);
+  };
+
+  /** Clear each layer in turn, if merging into layers. */
+  ((layers)? each((_, l) => clearLayer(l), range(d)) : clearLayer(nl));
   /** Reset any changed properties. */
   c.framebuffer = cf;
   next.color = nc;
+  next.layer = nl;
   f.call(f, next);
 
   return t;
@@ -177,11 +343,22 @@ export function clearMerge(state) {
  *   `state.merge.texture` is updated here with active states upon each pass.
  *
  *   The default merged `texture` is laid out as `[texture, step]` on the
- *   `[x, y]` axes, respectively; if other layouts are needed, this merge update
+ *   `[x, y]` axes, respectively; or as `[texture, 1, step]` on the `[x, y, z]`
+ *   axes if merging into layers. If other layouts are needed, this merge update
  *   hook can be given to use as-is, and the setup and lookup logic in their
  *   respective hooks.
  *
  *   See `toData` and `macroTaps`.
+ * @param {boolean} [state.merge.direct] Whether to render passes straight into
+ *   the merged `texture` where possible, skipping their copies; adds a
+ *   `viewport` and `scissor` to the `pipeline`, offsetting `gl_FragCoord`.
+ *   Only passes binding one `texture` and sampling no states can, with no
+ *   `state.clearPass` (as by default) and no gutter; any others are noted in
+ *   `to.reasons.direct` once here, and copied as usual. See `renderMerge`.
+ * @param {function} [state.merge.render] Hook to render a pass straight into
+ *   the merged `texture`, if any; `renderMerge` if not given and
+ *   `state.merge.direct`. Given the pass's `state` and `command`, returns
+ *   whether it rendered; otherwise the pass renders and `update`s as usual.
  * @param {string} [state.pre=preDef] The namespace prefix; `preDef` by default.
  * @param {string} [state.vert=vertDef] The step vertex shader `GLSL`; a
  *   simple flat screen shader if not given.
@@ -198,6 +375,8 @@ export function clearMerge(state) {
  * @param {string[]} [state.verts] Preprocesses and caches vertex `GLSL`
  *   code per-pass if given, otherwise processes just-in-time before each pass.
  * @param {string} [state.frag] Fragment `GLSL` to prepend `macro`s.
+ * @param {object|true|null} [state.clearPass=null] Any `clear` of each pass
+ *   before it's drawn; `clearPassDef` if `true`, or no clear by default.
  * @param {string[]} [state.frags] Preprocesses and caches fragment `GLSL`
  *   code per-pass, otherwise processes just-in-time before each pass.
  * @param {onStep} [onStep] Callback upon each step.
@@ -221,6 +400,16 @@ export function clearMerge(state) {
  *   via `api`/`api.command`.
  * @returns {function} `to.step` The main `function` to perform all the draw
  *   pass `GL` commands for a given state step.
+ * @returns {function} `to.rebuild` Rebuilds any cached `to.verts`/`to.frags`
+ *   and the `to.pass` `command`; for any `uniforms` added or removed.
+ * @returns {object} `to.cached` The keys of any cached `macro`s used, to clear
+ *   upon `to.destroy`. See `toCache`.
+ * @returns {function} `to.destroy` Frees the `to.pass` `command` and the
+ *   `to.positions` buffer, and clears any `to.verts`/`to.frags` and cached
+ *   `macro`s used. See `clearCache`.
+ * @returns {string|undefined} `[to.reasons.direct]` Any passes that can't
+ *   render straight into the merged `texture`, and why, if
+ *   `state.merge.direct`; noted rather than logged. See `reasons` in `toData`.
  */
 export function toStep(api, state = {}, to = state) {
   /** Handle `object`s or `regl`-like extended `function`s, for `command`. */
@@ -243,32 +432,40 @@ export function toStep(api, state = {}, to = state) {
   to.count = count;
   to.positions = buffer(positions);
   to.clearPass = ((clearPass === true)? (clearPass = undefined) : clearPass);
+  /** Cached `macro`s used, shared by any states derived from this one. */
+  to.cached ??= {};
+
+  verts && (to.verts = verts);
+  frags && (to.frags = frags);
+
+  /** May pre-process and keep the `shader`s for all passes in advance. */
+  const toShaders = () => {
+    if(!(verts || frags)) { return; }
 
-  // May pre-process and keep the `shader`s for all passes in advance.
-  if(verts || frags) {
     // Keep the current pass.
     const { passNow } = state;
 
-    verts && (to.verts = verts);
-    frags && (to.frags = frags);
-
     each((pass, p) => {
         // Create `macro`s for this pass in advance.
         state.passNow = p;
 
         // Specify a `'vert'` type `shader` for any per-`shader` `macro` hooks.
         verts &&
-          (verts[p] ??= macroPass(state, 'vert')+toShader(vert, null, state));
+          (verts[p] ??= toMacroShader(macroPass(state, 'vert'),
+            toShader(vert, null, state)));
 
         // Specify a `'frag'` type `shader` for any per-`shader` `macro` hooks.
         frags &&
-          (frags[p] ??= macroPass(state, 'frag')+toShader(frag, null, state));
+          (frags[p] ??= toMacroShader(macroPass(state, 'frag'),
+            toShader(frag, null, state)));
       },
       maps.passes);
 
     // Set the pass back to what it was.
     state.passNow = passNow;
-  }
+  };
+
+  toShaders();
 
   /** A `command` to render `pass` updates via a `GL` `pipeline` description. */
   to.pass = command(to.pipeline = {
@@ -277,16 +474,30 @@ export function toStep(api, state = {}, to = state) {
       const { passNow: p, step: { vert: v = vert, verts: vs = verts } } = state;
 
       // Specify a `'vert'` type `shader` for any per-`shader` `macro` hooks.
-      return vs?.[p] ?? macroPass(s, 'vert')+toShader(v, c, s);
+      return vs?.[p] ??
+        toMacroShader(macroPass(s, 'vert'), toShader(v, c, s));
     },
     frag(c, s) {
       const { passNow: p, step: { frag: f = frag, frags: fs = frags } } = state;
 
       // Specify a `'frag'` type `shader` for any per-`shader` `macro` hooks.
-      return fs?.[p] ?? macroPass(s, 'frag')+toShader(f, c, s);
+      return fs?.[p] ??
+        toMacroShader(macroPass(s, 'frag'), toShader(f, c, s));
     },
-    /** Need an active `pass` with `framebuffer`, or may draw to the screen. */
-    framebuffer: (_, s) => getPass(s)?.framebuffer,
+    /**
+     * Need an active `pass` with `framebuffer`, or may draw to the screen; or
+     * any merged `texture` rendered into directly.
+     */
+    framebuffer: (_, s) =>
+      ((s.merge?.box)? s.merge.into : getPass(s))?.framebuffer,
+    /** Render into any box of the merged `texture` if enabled; see `render`. */
+    ...(merge?.direct && {
+      viewport: (_, s) => s.merge?.box ?? {},
+      scissor: {
+        enable: (_, s) => !!s.merge?.box,
+        box: (_, s) => s.merge?.box ?? {}
+      }
+    }),
     count, uniforms,
     attributes: {
       [n+'position']: (_, s) => s.positions,
@@ -298,11 +509,60 @@ export function toStep(api, state = {}, to = state) {
     ...pipeline
   });
 
+  /**
+   * Rebuilds any kept `shader`s and the pass `command`, as its `uniforms` are
+   * fixed upon creation; e.g: after `setSteps`.
+   */
+  to.rebuild = () => {
+    verts && (verts.length = 0);
+    frags && (frags.length = 0);
+    toShaders();
+
+    return to.pass = command(to.pipeline);
+  };
+
+  /**
+   * Frees the pass `command` and `positions` buffer via any `destroy` hooks,
+   * and any kept `shader`s and cached `macro`s; safe to call more than once.
+   */
+  to.destroy = (state = to) => {
+    const { pass, positions, verts, frags } = state;
+
+    pass?.destroy?.();
+    positions?.destroy?.();
+    // Any `positions` set up again use the defaults.
+    state.pass = state.positions = undefined;
+    verts && (verts.length = 0);
+    frags && (frags.length = 0);
+
+    return clearCache(state);
+  };
+
   if(merge && (to.merge = merge)) {
     /** Any merged `texture`'s update, set up if not already given. */
     merge.update ??= updateMerge;
     /** Any merged `texture`'s clear, set up if not already given. */
     merge.clear ??= clearMerge;
+    /** Any merged `texture`'s direct render, if enabled and not given. */
+    if(merge.direct && !merge.render) {
+      merge.render = renderMerge;
+
+      /** Whether passes are cleared; `undefined` clears by default. */
+      const cleared = (clearPass === undefined) || !!clearPass;
+      /** Any passes left to render and copy as usual, and why. */
+      const copied = reduce((to, _, p) => {
+          const why = mergeIndirect({ ...state, clearPass: cleared }, p);
+
+          return ((why)? [...to, `pass ${p} ${why}`] : to);
+        },
+        maps.passes, []);
+
+      // Note once, rather than upon each pass left to copy.
+      ((copied.length)?
+        (to.reasons ??= {}).direct = '`toStep`: `merge.direct` can\'t render '+
+          `some passes directly; copying them as usual: ${copied.join('; ')}.`
+      : delete to.reasons?.direct);
+    }
   }
 
   /** Guard for number overflow; set to `0` to ignore or handle in `GLSL`. */
@@ -325,6 +585,7 @@ export function toStep(api, state = {}, to = state) {
 
     const clearFramebuffer = clearPass && (clearPass.framebuffer);
     const mergeUpdate = merge?.update;
+    const mergeRender = merge?.render;
 
     stepBy(stepState);
 
@@ -338,9 +599,12 @@ export function toStep(api, state = {}, to = state) {
           (clearPass.framebuffer = getPass(passState)?.framebuffer) &&
           clear(clearPass);
 
-        pass(passState);
-        // Update any merged `texture` upon each pass.
-        mergeUpdate?.(passState);
+        // Render straight into any merged `texture` if it can; or render the
+        // pass, then update any merged `texture` with it.
+        if(!mergeRender?.(passState, pass)) {
+          pass(passState);
+          mergeUpdate?.(passState);
+        }
       },
       maps.passes);
 
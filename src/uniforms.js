@@ -10,6 +10,11 @@ import each from '@epok.tech/fn-lists/each';
 import wrap from '@epok.tech/fn-lists/wrap';
 
 import { boundDef, preDef } from './const';
+import {
+    hasGots, integerTextures, integerIndex, integerSuffix
+  } from './maps';
+
+const { max } = Math;
 
 /**
  * Sets up `GL` `uniform` inputs for `gpgpu` calls, such as in `toStep`.
@@ -32,6 +37,7 @@ import { boundDef, preDef } from './const';
  * {
  *   stepNow: (context, state) => {},
  *   stateShape: (context, state) => {},
+ *   tiles: (context, state) => {},
  *   viewShape: (context, state) => {},
  *   // Separate state data-`texture`s in an `array` (e.g: `sampler2D[]`).
  *   // State data-`texture`s for the 1st step ago, not bound as outputs.
@@ -45,6 +51,7 @@ import { boundDef, preDef } from './const';
  * {
  *   stepNow: (context, state) => {},
  *   stateShape: (context, state) => {},
+ *   tiles: (context, state) => {},
  *   viewShape: (context, state) => {},
  *   // Separate state data-`texture`s in an `array` (e.g: `sampler2D[]`).
  *   // State data-`texture`s for the 1st step ago, not bound as outputs.
@@ -61,6 +68,7 @@ import { boundDef, preDef } from './const';
  * {
  *   stepNow: (context, state) => {},
  *   stateShape: (context, state) => {},
+ *   tiles: (context, state) => {},
  *   viewShape: (context, state) => {},
  *   // Merged states in one data-`texture` upon every pass (e.g: `sampler2D`,
  *   // or `sampler3D`/`sampler2DArray` where supported).
@@ -104,6 +112,7 @@ import { boundDef, preDef } from './const';
  * @returns {{
  *     stepNow:(c,state:{stepNow:number})=>number,
  *     stateShape:(c,state:{size:{number}})=>[number,number,number,number],
+ *     tiles:(c,state:{size:{merge?:{tiles?:number[]}}})=>[number,number],
  *     viewShape:(
  *       context:{drawingBufferWidth:number,drawingBufferHeight:number},s?
  *     )=>[number,number],
@@ -112,16 +121,21 @@ import { boundDef, preDef } from './const';
  *
  * @param {{
  *     stepNow?:number,
+ *     passNow?:number,
  *     bound?:number,
  *     merge?:{texture:object},
- *     textures:{texture:object}[][]
+ *     textures:{texture:object}[][],
+ *     maps?:{textureToPass:number[]}
  *   }} state Local properties (the `gpgpu` `state`); with:
  *   - `stepNow`: The current step of the `gpgpu` `state`.
+ *   - `passNow`: The active pass of the current step.
  *   - `bound`: Number of steps bound to output; can't be bound as inputs.
  *   - `merge`: Any `object` containing merged data-`texture`.
  *     - `texture`: Any merged data-`texture`.
  *   - `textures`: Textures per-step, as `array`s of `object`s with a `texture`
  *     property. See `toData`.
+ *   - `maps`: Any `maps` to find which pass writes each `texture`.
+ *     See `mapGroups`.
  *
  *   The `to` set up with `uniform` callback hooks for the given `state`, to
  *   be called on each render pass for the latest `uniform` values; with:
@@ -131,28 +145,39 @@ import { boundDef, preDef } from './const';
  *     if there's no valid shape; with:
  *     - Any `state` shape; in `xy` channels.
  *     - Any merged `states` shape, otherwise `state` shape; in `zw` channels.
+ *   - `tiles`: Gives any grid of tiles the merged `states` are laid out in;
+ *     as `vec2(columns, rows)`; `vec2(1)` if not tiled. See `toData`.
  *   - `viewShape`: Gives the `GL` viewport shape; as `vec2(width, height)`;
  *     given a `context` parameter with:
  *     - `drawingBufferWidth`: Current `GL` viewport width in pixels.
  *     - `drawingBufferHeight`: Current `GL` viewport height in pixels.
+ *   - `got`: Gives any data-`texture`s already written in the current step
+ *     by earlier passes, as a `GLSL` `array` of `sampler`s (e.g:
+ *     `sampler2D[]`); only if any values derive from them, and not merged.
  *   - `states`: Gives the past steps data-`texture`s; as either:
  *     - Any merged data-`texture` as a single `GLSL` `sampler` (e.g: `2D`/
  *       `2DArray`/`3D`; up to to the `GL` API for `texture`); otherwise `null`.
  *     - Any separate data-`texture`s as a `GLSL` `array` of `sampler`s (e.g:
  *       `sampler2D[]`), each part/all of a `gpgpu` step's data and accessible
  *       by constant index (steps ago); otherwise `null`.
+ *   - `statesInt`, `statesUint`, `gotInt`, `gotUint`: As `states` and `got`,
+ *     for any integer data-`texture`s (e.g: `usampler2D[]`), in separate
+ *     `array`s per type; indexed among the data-`texture`s of their type. See
+ *     `maps.integers` and `integerIndex`.
  *
  *   These property names may be prefixed with any given `state.pre`.
  *   See `toData` and `toStep`.
  */
 export function toUniforms(state = {}, to = state.uniforms ??= {}) {
   const { steps, maps, pre: n = preDef, bound = boundDef } = state;
-  const { textures } = maps;
+  const { textures, integers } = maps;
   const stepsL = steps.length ?? steps;
-  const texturesL = textures.length;
+  /** The integer types `texture`s may hold; separate `array`s of each type. */
+  const types = [null, 'int', 'uint'];
   // Local caches.
   const stateShape = [];
   const viewShape = [];
+  const tiles = [];
 
   /** Gives any current step. */
   to[n+'stepNow'] = (_, s) => s.stepNow;
@@ -161,6 +186,10 @@ export function toUniforms(state = {}, to = state.uniforms ??= {}) {
   to[n+'stateShape'] = (_, { size: { shape: s, merge: m } }) =>
     ((s)? setC4(stateShape, ...s, ...(m?.shape ?? s)) : setC4(stateShape));
 
+  /** Gives any grid of tiles of the merged `states`; otherwise `[1, 1]`. */
+  to[n+'tiles'] = (_, { size: { merge: m } }) =>
+    setC2(tiles, ...(m?.tiles ?? [1, 1]));
+
   /** Gives the shape of the `GL` viewport. */
   to[n+'viewShape'] = ({ drawingBufferWidth: w, drawingBufferHeight: h }) =>
     setC2(viewShape, w, h);
@@ -181,14 +210,48 @@ export function toUniforms(state = {}, to = state.uniforms ??= {}) {
      * access the `array` of `texture`s by constant index (steps ago).
      * Only returns a value if not using a `merge`d `texture`; otherwise `null`.
      */
-    each((_, t) => to[n+`states[${(ago*texturesL)+t}]`] =
-        (_, { merge: m, stepNow: s = 0, bound: b = bound, textures: ts }) =>
-          ((m)? null : wrap(s-b-ago, ts)?.[t]?.texture),
+    each((_, t) => {
+        /** Any integer `texture`s are in `array`s of their type. */
+        const int = integers?.[t];
+        const i = (ago*integerTextures(maps, int))+integerIndex(maps, t);
+
+        to[n+`states${integerSuffix(int)}[${i}]`] =
+          (_, { merge: m, stepNow: s = 0, bound: b = bound, textures: ts }) =>
+            ((m)? null : wrap(s-b-ago, ts)?.[t]?.texture);
+      },
       textures);
 
   /** Flatten all input `texture`s, as `uniform`s are kept in flat `array`s. */
   for(let ago = 0, pl = stepsL-bound; ago < pl; ++ago) { addTextures(ago); }
 
+  /** Remove any hooks past these, left from any earlier and longer `steps`. */
+  each((int) => {
+      const k = n+'states'+integerSuffix(int);
+
+      for(let i = max(0, stepsL-bound)*integerTextures(maps, int);
+          (k+`[${i}]`) in to; ++i) {
+        delete to[k+`[${i}]`];
+      }
+    },
+    types);
+
+  /**
+   * Hooks to pull any `texture`s got this step, already written by earlier
+   * passes; only if any values derive from them, and not using a `merge`d
+   * `texture`. Any `texture`s not yet written this step (or bound as outputs
+   * of the active pass) give the most recent past `texture` instead, to avoid
+   * reading and writing the same `texture`.
+   */
+  hasGots(maps) &&
+    each((_, t) =>
+        to[n+`got${integerSuffix(integers?.[t])}[${integerIndex(maps, t)}]`] =
+        (_, {
+            merge: m, stepNow: s = 0, passNow: p = 0, bound: b = bound,
+            textures: ts, maps: { textureToPass: tp } = maps
+          }) =>
+          ((m)? null : wrap(((tp[t] < p)? s : s-b), ts)?.[t]?.texture),
+      textures);
+
   return to;
 }
 
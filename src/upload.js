@@ -0,0 +1,447 @@
+/**
+ * Uploading data into `gpgpu` states.
+ *
+ * Packs each value's data into the channels of the data-`texture`s holding it,
+ * laid out as `maps.textures` describes; to upload into any step of any split
+ * or merged data-`texture`s, via the `api`. Uploads all entries, or only those
+ * given, in as few areas as their runs of entries allow. See `toData`.
+ *
+ * @module
+ * @category JS
+ */
+
+import each from '@epok.tech/fn-lists/each';
+import map from '@epok.tech/fn-lists/map';
+import range from '@epok.tech/fn-lists/range';
+import reduce from '@epok.tech/fn-lists/reduce';
+import wrap from '@epok.tech/fn-lists/wrap';
+
+import { valueChannels, valuePart } from './maps';
+import { toMergeAt, toGutters } from './size';
+import { typedArraysDef } from './const';
+
+const { isInteger, isFinite } = Number;
+const { floor, min, max } = Math;
+const { call } = Function;
+
+/**
+ * Gets any data given for a value, by its name in any `aka`, or its index.
+ *
+ * @param {object|array} data Data per value, by name or index.
+ * @param {number} value The index of the value in `maps.values`.
+ * @param {array.<string>} [aka] Any names of the values, by index.
+ *
+ * @returns {*} Any data given for the value.
+ */
+export const getValueData = (data, value, aka) =>
+  data[aka?.[value]] ?? data[value];
+
+/**
+ * Packs the data of each value held in a data-`texture` into its channels,
+ * entry by entry; as `maps.textures` lays out the values, and any parts of
+ * split values.
+ *
+ * @example ```javascript
+ *   const maps = mapGroups({ values: [2, 1], aka: ['position', 'life'] });
+ *   const state = toData(api, { maps, width: 2, height: 1, steps: 2 });
+ *
+ *   packTexture(state, {
+ *       position: new Float32Array([0, 1, 2, 3]),
+ *       life: (index, step) => index+step
+ *     },
+ *     0, 1); // =>
+ *   Float32Array [0, 1, 1, 0, 2, 3, 2, 0]
+ * ```
+ *
+ * @see {@link uploadData}
+ * @see {@link maps.mapGroups}
+ * @see {@link maps.valueChannels}
+ * @see {@link maps.valuePart}
+ * @see {@link const.typedArraysDef}
+ *
+ * @param {object} state The `gpgpu` state. See `toData`.
+ * @param {object} state.maps How values are grouped per-`texture`.
+ *   See `mapGroups`.
+ * @param {object} state.size Size info of the data. See `toData`.
+ * @param {number} state.size.entries The number of entries in each
+ *   data-`texture`.
+ * @param {array.<array.<object>>} state.textures Each data-`texture`'s meta
+ *   info per-step, giving its `channels` and `type`. See `toData`.
+ * @param {object|array} data Data per value, keyed by name in any `maps.aka`,
+ *   or by index in `maps.values`; any values not given are left as they are
+ *   in any given `to`, or `0`. Each is either:
+ *   - A typed `array` or `array` of all the value's channels, entry by entry.
+ *   - An initialiser `function`, given `(index, step, value)` for each entry;
+ *     returning a `number` for all the value's channels, or an `array` of
+ *     them.
+ *   - A `number` for all the value's channels, in all entries.
+ * @param {number} texture The index of the data-`texture` in `maps.textures`.
+ * @param {number} [step=0] The index of the step to pack data for; given to
+ *   any initialiser `function`s.
+ * @param {ArrayBufferView} [to] Any typed `array` to pack into; a new one fit
+ *   for the data-`texture`'s `type` if not given. See `typedArraysDef`.
+ * @param {array.<number>} [entries] Any entries to pack, in order; all entries
+ *   if not given.
+ * @param {array.<number>} [ats] Any index into the data of each of `entries`;
+ *   each entry's index in `entries` if not given.
+ *
+ * @returns {ArrayBufferView} The typed `array` `to`, packed with the data.
+ */
+export function packTexture(state, data, texture, step = 0, to, entries, ats) {
+  const { maps, size, textures } = state;
+  const { values, parts, aka, textures: texturesMap } = maps;
+  const { channels, type } = textures[step][texture];
+  const count = entries?.length ?? size.entries;
+
+  to ??= new (typedArraysDef()[type] ?? Float32Array)(count*channels);
+
+  reduce((c, v) => {
+      const d = getValueData(data, v, aka);
+      const vc = valueChannels(maps, v, texture);
+
+      if(d == null) { return c+vc; }
+
+      /** Any part's offset into the channels of a value split into parts. */
+      const k = valuePart(maps, v, texture);
+      const o = ((k < 0)? 0 : reduce((o, p) => o+p, parts[v].slice(0, k), 0));
+      const vl = values[v];
+      /** Gets each entry's data from any initialiser `function` or `number`. */
+      const at = ((d.call === call)? d : ((isFinite(d))? () => d : null));
+
+      for(let p = 0; p < count; ++p) {
+        const de = at?.(entries?.[p] ?? p, step, v);
+        const a = ats?.[p] ?? p;
+
+        for(let i = 0; i < vc; ++i) {
+          to[(p*channels)+c+i] =
+            ((!at)? d[(a*vl)+o+i] : ((isFinite(de))? de : de?.[o+i])) ?? 0;
+        }
+      }
+
+      return c+vc;
+    },
+    texturesMap[texture], 0);
+
+  return to;
+}
+
+/**
+ * Groups entries into as few areas of data-`texture`s as their runs allow; to
+ * upload each area in one go.
+ *
+ * Each contiguous run of entries gives any partial row at its start, then any
+ * full rows as one block, then any partial row at its end; entries given more
+ * than once are only kept as the last given. Entries outside the data (not
+ * whole, negative, or past the `total`) are skipped, rather than give areas
+ * outside the data-`texture`s.
+ *
+ * @example ```javascript
+ *   entryRects([9, 2, 3, 4, 5, 6], 4); // =>
+ *   [
+ *     { x: 2, y: 0, width: 2, height: 1, entries: [2, 3], ats: [1, 2] },
+ *     { x: 0, y: 1, width: 3, height: 1, entries: [4, 5, 6], ats: [3, 4, 5] },
+ *     { x: 1, y: 2, width: 1, height: 1, entries: [9], ats: [0] }
+ *   ];
+ *
+ *   entryRects({ from: 3, count: 6 }, 2); // =>
+ *   [
+ *     { x: 1, y: 1, width: 1, height: 1, entries: [3], ats: [0] },
+ *     {
+ *       x: 0, y: 2, width: 2, height: 2,
+ *       entries: [4, 5, 6, 7], ats: [1, 2, 3, 4]
+ *     },
+ *     { x: 0, y: 4, width: 1, height: 1, entries: [8], ats: [5] }
+ *   ];
+ *
+ *   const skipped = [];
+ *
+ *   entryRects([-1, 0, 1, 8], 2, [], 8, skipped); // =>
+ *   [{ x: 0, y: 0, width: 2, height: 1, entries: [0, 1], ats: [1, 2] }];
+ *
+ *   skipped; // => [-1, 8]
+ * ```
+ *
+ * @see {@link writeEntries}
+ *
+ * @param {array.<number>|{from:number,count:number}} entries A list of entry
+ *   indexes; or a range of entries, from the first entry for a `count`.
+ * @param {number} width The width of the data-`texture`s.
+ * @param {array.<object>} [to=[]] An `array` to add the areas to.
+ * @param {number} [total=Infinity] How many entries the data holds; entries
+ *   from this on are skipped. See `state.size.entries` in `toData`.
+ * @param {array.<number>} [skipped] Any `array` to add skipped entries to.
+ *
+ * @returns {array.<object>} `to`, with each area to upload as
+ *   `{ x, y, width, height, entries, ats }`; its entries in order, and the
+ *   index of each into the data (its index in any given list of `entries`).
+ */
+export function entryRects(entries, width, to = [], total = Infinity,
+    skipped) {
+  const { from, count } = entries;
+
+  /** Each entry paired with its index into the data, ordered by entry. */
+  const pairs = reduce((pairs, p) => {
+      const [e] = p;
+
+      ((isInteger(e) && (e >= 0) && (e < total))? pairs.push(p)
+      : skipped?.push(e));
+
+      return pairs;
+    },
+    ((isInteger(from))? map((_, i) => [from+i, i], range(count))
+    : map((e, i) => [e, i], entries)),
+    [])
+    .sort(([a], [b]) => a-b);
+
+  /** Contiguous runs of entries; keeps the last given of any repeats. */
+  const runs = reduce((runs, p) => {
+      const run = runs[runs.length-1];
+      const last = run?.[run.length-1];
+
+      ((last?.[0] === p[0])? (last[1] = p[1])
+      : ((last?.[0] === p[0]-1)? run.push(p) : runs.push([p])));
+
+      return runs;
+    },
+    pairs, []);
+
+  /** Split each run into any partial rows, and any full rows between. */
+  each((run) => {
+      for(let i = 0, l = run.length; i < l;) {
+        const e = run[i][0];
+        const x = e%width;
+        const left = l-i;
+        const n = (((x > 0) || (left < width))? min(width-x, left)
+          : floor(left/width)*width);
+
+        const part = run.slice(i, i += n);
+
+        to.push({
+          x, y: floor(e/width),
+          width: min(n, width), height: ((n > width)? n/width : 1),
+          entries: map(([e]) => e, part), ats: map(([, a]) => a, part)
+        });
+      }
+    },
+    runs);
+
+  return to;
+}
+
+/**
+ * Checks any names of values in `data` are known; notes any that aren't in
+ * `state.reasons.data`, rather than log them, or clears it if all are known.
+ */
+const checkData = (state, data, on) => {
+  const { aka } = state.maps;
+
+  const unknown = reduce((to, k) =>
+      ((aka?.includes(k) || isInteger(+k))? to : [...to, `\`${k}\``]),
+    Object.keys(data), []);
+
+  ((unknown.length)?
+    (state.reasons ??= {}).data = `\`${on}\`: no values named ${
+      unknown.join(', ')} in \`aka\`, to upload their data.`
+  : delete state.reasons?.data);
+};
+
+/**
+ * Refills any gutter of a block of the merged data-`texture` that an area
+ * uploaded into it reaches; clamping the block's edge texels from the area's
+ * packed data, as `updateMerge` does from each pass. See `toGutters`.
+ *
+ * @param {object} state The `gpgpu` state. See `uploadData`.
+ * @param {object} image The area's packed data, as given to `subimage`.
+ * @param {number} x The area's left texel in the block.
+ * @param {number} y The area's top texel in the block.
+ * @param {array.<number>} at The block's position in the merged data-`texture`.
+ * @param {number} step The index of the step uploaded into.
+ */
+function uploadGutters(state, image, x, y, [bx, by], step) {
+  const { merge: { all, layers }, size } = state;
+  const { width: w, height: h, merge } = size;
+  const g = merge?.gutter;
+
+  if(!(g > 0)) { return; }
+
+  const { data, width, height, channels } = image;
+
+  each(([gx, gy, gw, gh, tx, ty]) => {
+      /** The part of each edge area to copy that lies in the uploaded area. */
+      const l = max(gx, x);
+      const r = min(gx+gw, x+width);
+      const t = max(gy, y);
+      const b = min(gy+gh, y+height);
+
+      if((l >= r) || (t >= b)) { return; }
+
+      const aw = r-l;
+      const ah = b-t;
+      const to = new data.constructor(aw*ah*channels);
+
+      each((_, j) => {
+          const at = ((t-y+j)*width)-x;
+
+          to.set(data.subarray((at+l)*channels, (at+r)*channels),
+            j*aw*channels);
+        },
+        range(ah));
+
+      const area = { data: to, width: aw, height: ah, channels };
+      const ax = bx+tx+l-gx;
+      const ay = by+ty+t-gy;
+
+      ((layers)? all.texture.subimage(area, ax, ay, step)
+      : all.texture.subimage(area, ax, ay));
+    },
+    toGutters(w, h, g));
+}
+
+/**
+ * Packs and uploads an area of each data-`texture` of a step; into each split
+ * data-`texture`, or its part of the merged data-`texture` (refilling any of
+ * its gutter the area reaches). Skips any data-`texture`s holding none of the
+ * values given data.
+ *
+ * @param {object} state The `gpgpu` state. See `uploadData`.
+ * @param {object|array} data Data per value, by name or index.
+ * @param {number} step The index of the step to upload into.
+ * @param {object} [area] Any area to upload, as given by `entryRects`; all
+ *   entries if not given.
+ * @param {array.<ArrayBufferView>} [packs] Any typed `array`s to pack each
+ *   data-`texture` into; to reuse across uploads of the same area.
+ */
+function uploadArea(state, data, step, area, packs = []) {
+  const { maps, merge, textures, size } = state;
+  const { width: w, height: h } = size;
+  const { x = 0, y = 0, width = w, height = h, entries, ats } = area ?? {};
+  const { aka } = maps;
+  const all = merge?.all;
+  const layers = merge?.layers;
+
+  each((values, t) => {
+      if(!values.some((v) => getValueData(data, v, aka) != null)) { return; }
+
+      const { channels, texture } = textures[step][t];
+
+      const d = packs[t] =
+        packTexture(state, data, t, step, packs[t], entries, ats);
+
+      const image = { data: d, width, height, channels };
+
+      /** Any block's position in the merged data-`texture`. */
+      const [mx, my] = ((all)?
+          toMergeAt(size, t, ((layers)? 0 : step), maps.textures.length)
+        : []);
+
+      if(!all) { return texture.subimage(image, x, y); }
+
+      ((layers)? all.texture.subimage(image, mx+x, my+y, step)
+      : all.texture.subimage(image, mx+x, my+y));
+
+      uploadGutters(state, image, x, y, [mx, my], step);
+    },
+    maps.textures);
+}
+
+/**
+ * Uploads data into the states of a `gpgpu` state, via the `api`; into a given
+ * step, or into all steps.
+ *
+ * Packs data per-`texture` (see `packTexture`), then uploads it by each
+ * data-`texture`'s `subimage`; or into the merged data-`texture`, at the
+ * step's row (or layer), as laid out in `toData`. Any data-`texture`s holding
+ * none of the values given data are left as-is. Any names of values in `data`
+ * that aren't known are noted in `state.reasons.data`, rather than logged.
+ *
+ * @see {@link packTexture}
+ * @see {@link writeEntries}
+ * @see {@link data.toData}
+ * @see {@link api.subimage}
+ *
+ * @param {object} state The `gpgpu` state. See `toData` and `packTexture`.
+ * @param {object} state.maps How values are grouped per-`texture`.
+ *   See `mapGroups`.
+ * @param {object} state.size Size info of the data. See `toData`.
+ * @param {array.<array.<object>>} state.textures Each data-`texture` and meta
+ *   info per-step. See `toData`.
+ * @param {object} [state.merge] Any merged data-`texture` and meta info, to
+ *   upload into instead. See `toData`.
+ * @param {object|array} data Data per value, by name or index.
+ *   See `packTexture`.
+ * @param {number} [step] Any step to upload into, wrapped over the steps;
+ *   uploads into all steps if not given.
+ *
+ * @returns {object} The given `state`, its data uploaded.
+ */
+export function uploadData(state, data, step) {
+  const { size: { steps: sl } } = state;
+
+  checkData(state, data, 'uploadData');
+
+  /** Typed `array`s to pack each data-`texture` into; reused across steps. */
+  const packs = [];
+
+  ((isInteger(step))? uploadArea(state, data, wrap(step, sl), null, packs)
+  : each((_, s) => uploadArea(state, data, s, null, packs), range(sl)));
+
+  return state;
+}
+
+/**
+ * Writes data into only the given entries of a step of states, via the `api`;
+ * such as to spawn or edit some entries.
+ *
+ * Uploads each area of the entries in one go, as few as their runs allow (see
+ * `entryRects`); data per value is given for each of the entries in order.
+ * Each entry's texel is written whole, so any values not given data, in a
+ * data-`texture` holding any that are, are written as `0`. Any entries outside
+ * the data are skipped, and noted in `state.reasons.entries` rather than
+ * logged; as any names of values in `data` that aren't known are noted in
+ * `state.reasons.data`. See `toData`.
+ *
+ * @example ```javascript
+ *   // Spawn 2 particles at the cursor, from entry 100.
+ *   writeEntries(state, { from: 100, count: 2 }, {
+ *     position: [x, y, x, y],
+ *     life: 1
+ *   });
+ *
+ *   // Edit some particles' motion.
+ *   writeEntries(state, [3, 30, 31], { motion: [0, 1, 0, 2, 1, 0] });
+ * ```
+ *
+ * @see {@link entryRects}
+ * @see {@link uploadData}
+ * @see {@link data.toData}
+ *
+ * @param {object} state The `gpgpu` state. See `uploadData`.
+ * @param {array.<number>|{from:number,count:number}} entries A list of entry
+ *   indexes; or a range of entries, from the first entry for a `count`.
+ * @param {object|array} data Data per value, by name or index, for each of the
+ *   `entries` in order; see `packTexture`. Any initialiser `function`s are
+ *   given each entry's index.
+ * @param {number} [step=state.stepNow] The step to write into, wrapped over
+ *   the steps; the newest step by default.
+ *
+ * @returns {object} The given `state`, its data written.
+ */
+export function writeEntries(state, entries, data, step = state.stepNow ?? 0) {
+  const { size: { width: w, steps: sl, entries: el } } = state;
+  const s = wrap(step, sl);
+  /** Any entries outside the data, which are skipped. */
+  const skipped = [];
+
+  checkData(state, data, 'writeEntries');
+  each((area) => uploadArea(state, data, s, area),
+    entryRects(entries, w, [], el, skipped));
+
+  ((skipped.length)?
+    (state.reasons ??= {}).entries = `\`writeEntries\`: skipped ${
+      skipped.length} entries outside the ${el} entries of the data.`
+  : delete state.reasons?.entries);
+
+  return state;
+}
+
+export default uploadData;
@@ -0,0 +1,46 @@
+/**
+ * Module hooks to run the source as-is in Node, as the bundler would: resolves
+ * extensionless relative imports, loads `.glsl` files as `string` modules, and
+ * loads the source `.js` files as ES modules.
+ *
+ * @see [Node module customization hooks](https://nodejs.org/api/module.html#customization-hooks)
+ */
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+
+const srcURL = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+  if(!specifier.startsWith('.') || /\.(m?js|json|glsl)$/.test(specifier)) {
+    return next(specifier, context);
+  }
+
+  const url = new URL(specifier, context.parentURL);
+
+  for(const ext of ['.js', '/index.js']) {
+    const to = new URL(url.href+ext);
+
+    if(existsSync(to)) { return { url: to.href, shortCircuit: true }; }
+  }
+
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if(url.endsWith('.glsl')) {
+    const source = JSON.stringify(await readFile(new URL(url), 'utf8'));
+
+    return {
+      format: 'module', source: `export default ${source};`, shortCircuit: true
+    };
+  }
+
+  if(url.startsWith(srcURL) && url.endsWith('.js')) {
+    const source = await readFile(new URL(url), 'utf8');
+
+    return { format: 'module', source, shortCircuit: true };
+  }
+
+  return next(url, context);
+}
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mapStep, mapCost } from '../src/maps.js';
+import { stepGot } from '../src/const.js';
+
+test('`mapStep` packs values into textures and samples past ones', () => {
+  const maps = mapStep({
+    values: [1, 1, 1, 1], channelsMax: 2, buffersMax: 1, derives: [0, 2, 0, 2]
+  });
+
+  assert.equal(maps.invalid, undefined);
+  assert.deepEqual(maps.textures, [[0, 1], [2, 3]]);
+  assert.deepEqual(maps.passes, [[0], [1]]);
+  assert.deepEqual(maps.valueToTexture, [0, 0, 1, 1]);
+  assert.deepEqual(maps.samples, [[[0, 0], [0, 1]], [[0, 0], [0, 1]]]);
+  assert.deepEqual(maps.reads, [[[0], [1]], [, , [0], [1]]]);
+
+  assert.deepEqual(mapCost(maps), {
+    passes: 2, textures: 2, samples: [2, 2], sampled: 4, across: 2,
+    bytes: 48, valid: true
+  });
+});
+
+test('`mapStep` groups values by what they derive if `group`ed', () => {
+  const maps = mapStep({
+    values: [1, 1, 1, 1], channelsMax: 2, buffersMax: 1,
+    derives: [0, 2, 0, 2], group: true
+  });
+
+  assert.deepEqual(maps.textures, [[0, 2], [1, 3]]);
+  assert.deepEqual(maps.samples, [[[0, 0]], [[0, 0]]]);
+
+  assert.deepEqual(mapCost(maps), {
+    passes: 2, textures: 2, samples: [1, 1], sampled: 2, across: 1,
+    bytes: 32, valid: true
+  });
+});
+
+test('`mapStep` derives by names in `aka`, steps, and all values', () => {
+  const maps = mapStep({
+    values: [2, 4, 1], aka: ['a', 'b', 'c'], channelsMax: 4, buffersMax: 4,
+    derives: { c: [{ value: 'b', step: 1 }, true], a: 'c' }
+  });
+
+  assert.equal(maps.invalid, undefined);
+  assert.deepEqual(maps.textures, [[1], [0, 2]]);
+  assert.deepEqual(maps.passes, [[0, 1]]);
+  assert.deepEqual(maps.samples, [[[0, 1], [1, 0], [0, 0]]]);
+  assert.deepEqual(maps.reads, [[[0], , [1, 0, 2, 0]]]);
+  assert.deepEqual(maps.readsToValue, [[[2], , [1, 0, 1, 2]]]);
+});
+
+test('`mapStep` notes `invalid` derives rather than throwing', () => {
+  const { invalid } = mapStep({ values: [1], aka: ['a'], derives: { b: 0 } });
+
+  assert.equal(invalid?.length, 1);
+  assert.match(invalid[0][0], /no value named `b` in `aka`/);
+});
+
+test('`mapStep` notes passes deriving from each other as `invalid`', () => {
+  const { invalid } = mapStep({
+    values: [1, 1], buffersMax: 1,
+    derives: [[{ value: 1, step: stepGot }], [{ value: 0, step: stepGot }]]
+  });
+
+  assert.equal(invalid?.length, 1);
+  assert.match(invalid[0][0], /^`orderPasses`: .* in a cycle/);
+});
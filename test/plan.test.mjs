@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toPlan, toEstimate } from '../src/plan.js';
+import { mapStep } from '../src/maps.js';
+
+test('`toPlan` fits a small state without any changes', () => {
+  const plan = toPlan({}, { entries: 16, steps: 2, maps: { values: [4] } });
+
+  assert.deepEqual(plan.reasons, {});
+  assert.equal(plan.width, 4);
+  assert.equal(plan.height, 4);
+  assert.equal(plan.merge, false);
+  assert.equal(plan.valid, true);
+});
+
+test('`toPlan` adapts to the limits of the given context', () => {
+  const plan = toPlan({ maxTextureSize: 4096, maxDrawbuffers: 1 }, {
+    entries: 1e5, steps: 40,
+    maps: { values: [3, 3, 1], derives: [[0, 1], [0, 1], 2] }
+  });
+
+  assert.deepEqual(Object.keys(plan.reasons).sort(), ['buffersMax', 'rows']);
+  assert.equal(plan.width, 316);
+  assert.equal(plan.height, 317);
+  assert.deepEqual(plan.merge, { tiles: true });
+  assert.equal(plan.stepsMax, 72);
+  assert.equal(plan.valid, true);
+});
+
+test('`toPlan` is invalid if the data can\'t fit', () => {
+  const plan = toPlan({ maxTextureSize: 8 },
+    { entries: 1000, steps: 2, maps: { values: [4] } });
+
+  assert.equal(plan.reasons.shape,
+    '`maxTextureSize` of 8 can\'t fit the data\'s shape of 8x125.');
+
+  assert.equal(plan.valid, false);
+});
+
+test('`toPlan` is invalid if the maps are', () => {
+  const plan = toPlan({},
+    { entries: 4, maps: { values: [1], aka: ['a'], derives: { b: 0 } } });
+
+  assert.ok(plan.reasons.maps);
+  assert.equal(plan.valid, false);
+});
+
+test('`toEstimate` counts the resources and work of a state', () => {
+  const state = { steps: 2, width: 4, height: 4 };
+  const maps = mapStep({ values: [4, 2], buffersMax: 1 });
+
+  assert.deepEqual(toEstimate({ ...state, maps }), {
+    entries: 16, textures: 4, bytesTextures: 1024, bytesMerged: 0,
+    framebuffers: 4, bytesFramebuffers: 0, bytes: 1024,
+    draws: 2, copies: 0, samples: 0, read: 0, written: 512
+  });
+
+  assert.deepEqual(toEstimate({ ...state, maps, merge: true }), {
+    entries: 16, textures: 1, bytesTextures: 256, bytesMerged: 1024,
+    framebuffers: 5, bytesFramebuffers: 0, bytes: 1280,
+    draws: 2, copies: 2, samples: 0, read: 512, written: 1024
+  });
+});
+
+test('`toEstimate` counts copies of direct merges only if `clearPass`', () => {
+  const state = {
+    steps: 2, width: 4, height: 4, merge: { direct: true },
+    maps: mapStep({ values: [4, 2], buffersMax: 1 })
+  };
+
+  assert.equal(toEstimate(state).copies, 0);
+  assert.equal(toEstimate({ ...state, clearPass: null }).copies, 0);
+  assert.equal(toEstimate({ ...state, clearPass: true }).copies, 2);
+});
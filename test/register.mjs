@@ -0,0 +1,5 @@
+/** Registers the module hooks; for `node --import`. See `./hooks.mjs`. */
+
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toTiles } from '../src/size.js';
+
+test('`toTiles` lays out blocks in a near-square grid', () => {
+  assert.deepEqual(toTiles(1, 4, 4), [1, 1]);
+  assert.deepEqual(toTiles(10, 4, 4), [3, 4]);
+  assert.deepEqual(toTiles(6, 2, 1), [2, 3]);
+});
+
+test('`toTiles` keeps columns within any size, adding rows to fit', () => {
+  assert.deepEqual(toTiles(16, 4, 4, 16), [4, 4]);
+  assert.deepEqual(toTiles(40, 4, 4, 16), [4, 10]);
+});
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { entryRects } from '../src/upload.js';
+
+test('`entryRects` groups listed entries into areas to upload', () => {
+  assert.deepEqual(entryRects([9, 2, 3, 4, 5, 6], 4), [
+    { x: 2, y: 0, width: 2, height: 1, entries: [2, 3], ats: [1, 2] },
+    { x: 0, y: 1, width: 3, height: 1, entries: [4, 5, 6], ats: [3, 4, 5] },
+    { x: 1, y: 2, width: 1, height: 1, entries: [9], ats: [0] }
+  ]);
+});
+
+test('`entryRects` groups a range of entries into areas to upload', () => {
+  assert.deepEqual(entryRects({ from: 3, count: 6 }, 2), [
+    { x: 1, y: 1, width: 1, height: 1, entries: [3], ats: [0] },
+    {
+      x: 0, y: 2, width: 2, height: 2,
+      entries: [4, 5, 6, 7], ats: [1, 2, 3, 4]
+    },
+    { x: 0, y: 4, width: 1, height: 1, entries: [8], ats: [5] }
+  ]);
+});
+
+test('`entryRects` skips entries outside the data', () => {
+  const skipped = [];
+
+  assert.deepEqual(entryRects([-1, 0, 1, 8], 2, [], 8, skipped),
+    [{ x: 0, y: 0, width: 2, height: 1, entries: [0, 1], ats: [1, 2] }]);
+
+  assert.deepEqual(skipped, [-1, 8]);
+});